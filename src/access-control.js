@@ -0,0 +1,223 @@
+import { timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Subprotocol prefix used to pass an API key during the WebSocket handshake,
+ * for clients (such as browsers) that cannot set custom headers
+ */
+export const API_KEY_SUBPROTOCOL_PREFIX = 'mcp-api-key.';
+
+/**
+ * JSON-RPC error code returned when a client's policy denies a tool call
+ */
+export const ACCESS_DENIED_ERROR_CODE = -32003;
+
+/**
+ * Challenge sent with 401 responses
+ */
+export const AUTH_CHALLENGE = 'Bearer realm="websocket-mcp-proxy"';
+
+const log = logger.child({ component: 'access-control' });
+
+/**
+ * Log a request that authenticate() rejected and answer it. respond(headers)
+ * writes the endpoint's error response; for a 401, headers carries the
+ * WWW-Authenticate challenge.
+ */
+export function rejectUnauthorized(req, auth, endpoint, respond) {
+  log.warn(`Rejected ${endpoint} request`, {
+    remoteAddress: req.socket.remoteAddress,
+    origin: req.headers['origin'],
+    status: auth.status,
+    reason: auth.reason
+  });
+  respond(auth.status === 401 ? { 'WWW-Authenticate': AUTH_CHALLENGE } : {});
+}
+
+/**
+ * Convert a glob pattern (* and ? wildcards) into an anchored RegExp.
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Allow/deny glob patterns over namespaced tool names (server:tool)
+ * A tool is allowed when it matches an allow pattern and no deny pattern.
+ */
+export class ToolPolicy {
+  constructor({ allow = ['*'], deny = [] } = {}) {
+    this.allow = allow.map(globToRegExp);
+    this.deny = deny.map(globToRegExp);
+  }
+
+  isAllowed(toolName) {
+    if (this.deny.some(pattern => pattern.test(toolName))) return false;
+    return this.allow.some(pattern => pattern.test(toolName));
+  }
+}
+
+/**
+ * Access control for client connections
+ * Enforces the security.allowedOrigins, security.apiKey and security.clients
+ * settings. Authenticated clients carry the tool policy of their credential.
+ * The admin API is authenticated separately with security.adminApiKey.
+ */
+export class AccessControl {
+  constructor(security = {}) {
+    this.allowedOrigins = security?.allowedOrigins || [];
+    this.apiKey = security?.apiKey || null;
+    this.adminApiKey = security?.adminApiKey || null;
+    this.clients = (security?.clients || []).map(client => ({
+      name: client.name,
+      apiKey: client.apiKey,
+      policy: new ToolPolicy(client)
+    }));
+  }
+
+  requiresApiKey() {
+    return Boolean(this.apiKey) || this.clients.length > 0;
+  }
+
+  /**
+   * Requests without an Origin header come from non-browser clients and are
+   * not subject to the origin allowlist.
+   */
+  isOriginAllowed(origin) {
+    if (this.allowedOrigins.length === 0 || !origin) return true;
+    return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Extract the API key from, in order: the Authorization (Bearer) or
+   * X-API-Key header, an mcp-api-key.<key> subprotocol, or the apiKey query
+   * parameter.
+   */
+  extractApiKey(req) {
+    const headerKey = this.extractHeaderApiKey(req);
+    if (headerKey) {
+      return headerKey;
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(protocol => protocol.trim());
+    const keyProtocol = protocols.find(protocol => protocol.startsWith(API_KEY_SUBPROTOCOL_PREFIX));
+    if (keyProtocol) {
+      return keyProtocol.slice(API_KEY_SUBPROTOCOL_PREFIX.length);
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('apiKey');
+  }
+
+  extractHeaderApiKey(req) {
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
+    }
+
+    return req.headers['x-api-key'] || null;
+  }
+
+  keysMatch(expected, key) {
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(key);
+    return expectedBuffer.length === actualBuffer.length && timingSafeEqual(expectedBuffer, actualBuffer);
+  }
+
+  /**
+   * Find the client a key belongs to. The shared security.apiKey maps to an
+   * unrestricted "default" client.
+   */
+  findClient(key) {
+    if (!key) return null;
+
+    const client = this.clients.find(candidate => this.keysMatch(candidate.apiKey, key));
+    if (client) return client;
+
+    if (this.apiKey && this.keysMatch(this.apiKey, key)) {
+      return { name: 'default', policy: new ToolPolicy() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether a connection request may proceed.
+   * Returns { allowed: true, client } or { allowed: false, status, reason }
+   * where status is the HTTP status to reject the request with. client is
+   * null when no authentication is configured.
+   */
+  authenticate(req) {
+    const origin = req.headers['origin'];
+    if (!this.isOriginAllowed(origin)) {
+      return { allowed: false, status: 403, reason: `Origin not allowed: ${origin}` };
+    }
+
+    if (!this.requiresApiKey()) {
+      return { allowed: true, client: null };
+    }
+
+    const key = this.extractApiKey(req);
+    if (!key) {
+      return { allowed: false, status: 401, reason: 'Missing API key' };
+    }
+
+    const client = this.findClient(key);
+    if (!client) {
+      return { allowed: false, status: 401, reason: 'Invalid API key' };
+    }
+
+    return { allowed: true, client };
+  }
+
+  /**
+   * Decide whether an admin API request may proceed. The admin API is
+   * disabled unless security.adminApiKey is set, and only accepts the key
+   * in the Authorization or X-API-Key header.
+   */
+  authenticateAdmin(req) {
+    if (!this.adminApiKey) {
+      return { allowed: false, status: 404, reason: 'Admin API is disabled' };
+    }
+
+    const origin = req.headers['origin'];
+    if (!this.isOriginAllowed(origin)) {
+      return { allowed: false, status: 403, reason: `Origin not allowed: ${origin}` };
+    }
+
+    const key = this.extractHeaderApiKey(req);
+    if (!key) {
+      return { allowed: false, status: 401, reason: 'Missing API key' };
+    }
+    if (!this.keysMatch(this.adminApiKey, key)) {
+      return { allowed: false, status: 401, reason: 'Invalid API key' };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Pick the WebSocket subprotocol to answer with. The API key subprotocol is
+   * never echoed back; with nothing else offered, no subprotocol is selected
+   * and clients that offered one (every browser) fail the handshake, so they
+   * must offer a real subprotocol such as `mcp` as well.
+   */
+  selectProtocol(protocols) {
+    for (const protocol of protocols) {
+      if (!protocol.startsWith(API_KEY_SUBPROTOCOL_PREFIX)) {
+        return protocol;
+      }
+    }
+    return false;
+  }
+}
@@ -0,0 +1,205 @@
+import { ConfigValidator } from './config-validator.js';
+import { readJsonBody } from './http-body.js';
+import { logger, REDACTED } from './logger.js';
+
+const log = logger.child({ component: 'admin' });
+
+/**
+ * Copy a server config for display: env and header values, and the
+ * credentials and query parameter values of url, are always masked; other
+ * secret-looking fields are redacted by name. args are shown as configured,
+ * so secrets belong in env rather than on the command line.
+ */
+export function maskServerConfig(serverConfig) {
+  const masked = logger.redact(serverConfig);
+  for (const key of ['env', 'headers']) {
+    if (masked[key] && typeof masked[key] === 'object') {
+      masked[key] = Object.fromEntries(Object.keys(masked[key]).map(name => [name, REDACTED]));
+    }
+  }
+  if (typeof masked.url === 'string') {
+    masked.url = maskUrl(masked.url);
+  }
+  return masked;
+}
+
+function maskUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return REDACTED;
+  }
+  const credentials = parsed.username || parsed.password ? `${REDACTED}@` : '';
+  const query = [...new Set(parsed.searchParams.keys())].map(name => `${name}=${REDACTED}`).join('&');
+  return `${parsed.protocol}//${credentials}${parsed.host}${parsed.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Authenticated REST API under /admin for managing upstream servers and
+ * client connections at runtime
+ *
+ *   GET    /admin/servers                   list servers with config and state
+ *   POST   /admin/servers                   add a server (JSON body)
+ *   GET    /admin/servers/:name             one server
+ *   DELETE /admin/servers/:name             stop and remove a server
+ *   POST   /admin/servers/:name/start       start a stopped server
+ *   POST   /admin/servers/:name/stop        stop a server, keeping its config
+ *   POST   /admin/servers/:name/restart     restart a server
+ *   GET    /admin/clients                   list connected clients
+ *   DELETE /admin/clients/:id               disconnect a client
+ *
+ * Changes are applied to the running configuration only; they are not
+ * written back to the config file and a reload from the file replaces them.
+ */
+export class AdminApi {
+  constructor(proxy) {
+    this.proxy = proxy;
+    this.routes = [
+      ['GET', /^\/admin\/servers$/, () => this.listServers()],
+      ['POST', /^\/admin\/servers$/, (req) => this.addServer(req)],
+      ['GET', /^\/admin\/servers\/([^/]+)$/, (req, name) => this.getServer(name)],
+      ['DELETE', /^\/admin\/servers\/([^/]+)$/, (req, name) => this.removeServer(name)],
+      ['POST', /^\/admin\/servers\/([^/]+)\/start$/, (req, name) => this.startServer(name)],
+      ['POST', /^\/admin\/servers\/([^/]+)\/stop$/, (req, name) => this.stopServer(name)],
+      ['POST', /^\/admin\/servers\/([^/]+)\/restart$/, (req, name) => this.restartServer(name)],
+      ['GET', /^\/admin\/clients$/, () => this.listClients()],
+      ['DELETE', /^\/admin\/clients\/([^/]+)$/, (req, id) => this.disconnectClient(id)]
+    ];
+  }
+
+  async handle(req, res, pathname) {
+    const auth = this.proxy.accessControl.authenticateAdmin(req);
+    if (!auth.allowed) {
+      this.proxy.sendJson(res, auth.status, { error: auth.reason });
+      return;
+    }
+
+    const matching = this.routes.filter(([, pattern]) => pattern.test(pathname));
+    if (matching.length === 0) {
+      this.proxy.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) {
+      this.proxy.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const [method, pattern, handler] = route;
+    const params = pathname.match(pattern).slice(1).map(decodeURIComponent);
+
+    try {
+      const { status = 200, body } = await handler(req, ...params);
+      if (method !== 'GET') {
+        log.info('Admin request', { method, path: pathname, status });
+      }
+      this.proxy.sendJson(res, status, body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        log.error('Admin request failed', { method, path: pathname, error });
+      }
+      this.proxy.sendJson(res, status, { error: error.message });
+    }
+  }
+
+  findServerConfig(name) {
+    const serverConfig = this.proxy.config.servers.find(server => server.name === name);
+    if (!serverConfig) {
+      throw Object.assign(new Error(`Unknown server: ${name}`), { status: 404 });
+    }
+    return serverConfig;
+  }
+
+  describeServer(serverConfig) {
+    return {
+      name: serverConfig.name,
+      config: maskServerConfig(serverConfig),
+      ...this.proxy.healthMonitor.getServerStatus(serverConfig)
+    };
+  }
+
+  listServers() {
+    return { body: { servers: this.proxy.config.servers.map(server => this.describeServer(server)) } };
+  }
+
+  getServer(name) {
+    return { body: this.describeServer(this.findServerConfig(name)) };
+  }
+
+  async addServer(req) {
+    let serverConfig = await readJsonBody(req);
+    if (!serverConfig || typeof serverConfig !== 'object' || Array.isArray(serverConfig)) {
+      throw Object.assign(new Error('Request body must be a JSON object'), { status: 400 });
+    }
+    if (this.proxy.config.servers.some(server => server.name === serverConfig.name)) {
+      return { status: 409, body: { error: `Server already exists: ${serverConfig.name}` } };
+    }
+
+    // Expanded and validated as if it were the last entry of the config file
+    serverConfig = ConfigValidator.expandEnvironmentVariables(serverConfig);
+    const { errors } = ConfigValidator.validate({
+      ...this.proxy.config,
+      servers: [...this.proxy.config.servers, serverConfig]
+    });
+    if (errors.length > 0) {
+      return { status: 400, body: { error: 'Invalid server configuration', errors } };
+    }
+
+    await this.proxy.addServer(serverConfig);
+    await this.proxy.notifyListChanged();
+    return { status: 201, body: this.describeServer(serverConfig) };
+  }
+
+  async removeServer(name) {
+    this.findServerConfig(name);
+    await this.proxy.removeServer(name);
+    await this.proxy.notifyListChanged();
+    return { body: { removed: name } };
+  }
+
+  async startServer(name) {
+    const serverConfig = this.findServerConfig(name);
+    if (this.proxy.isServerStarted(name)) {
+      return { status: 409, body: { error: `Server is already started: ${name}` } };
+    }
+
+    await this.proxy.startServer(serverConfig);
+    await this.proxy.notifyListChanged();
+    return { body: this.describeServer(serverConfig) };
+  }
+
+  async stopServer(name) {
+    const serverConfig = this.findServerConfig(name);
+    await this.proxy.stopServer(name);
+    await this.proxy.notifyListChanged();
+    return { body: this.describeServer(serverConfig) };
+  }
+
+  async restartServer(name) {
+    const serverConfig = this.findServerConfig(name);
+    await this.proxy.restartServer(serverConfig);
+    await this.proxy.notifyListChanged();
+    return { body: this.describeServer(serverConfig) };
+  }
+
+  listClients() {
+    const clients = Array.from(this.proxy.clientConnections, ([id, connection]) => ({
+      id,
+      transport: connection.type,
+      client: connection.client?.name || null,
+      remoteAddress: connection.remoteAddress,
+      connectedAt: new Date(connection.connectedAt).toISOString()
+    }));
+    return { body: { clients } };
+  }
+
+  disconnectClient(id) {
+    if (!this.proxy.disconnectClient(id)) {
+      return { status: 404, body: { error: `Unknown client connection: ${id}` } };
+    }
+    return { body: { disconnected: id } };
+  }
+}
@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+
+export const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  enabled: true,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+/**
+ * JSON-RPC error code returned when a request fails fast on an open circuit
+ */
+export const CIRCUIT_OPEN_ERROR_CODE = -32004;
+
+/**
+ * Circuit breaker for an upstream server
+ * After failureThreshold consecutive failures the circuit opens and requests
+ * fail fast. Once resetTimeoutMs has passed it is half-open: a single probe
+ * request is let through, which closes the circuit on success and opens it
+ * again on failure.
+ *
+ * Events:
+ * - state (state, previous): the circuit changed state
+ */
+export class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...(options || {}) };
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probeInFlight = false;
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit('state', state, previous);
+  }
+
+  /**
+   * Whether requests currently fail fast, without reserving a probe.
+   */
+  isOpen() {
+    if (!this.options.enabled) return false;
+    if (this.state === 'open') return Date.now() < this.getRetryAt();
+    return this.state === 'half-open' && this.probeInFlight;
+  }
+
+  /**
+   * Decide whether a request may go to the server. In the half-open state
+   * this reserves the single probe; its outcome must be reported with
+   * recordSuccess, recordFailure or release.
+   */
+  allowRequest() {
+    if (!this.options.enabled) return true;
+
+    if (this.state === 'open' && Date.now() >= this.getRetryAt()) {
+      this.setState('half-open');
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probeInFlight = false;
+    this.setState('closed');
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message ?? String(error);
+    this.probeInFlight = false;
+
+    if (!this.options.enabled) return;
+    if (this.state === 'half-open' || this.failures >= this.options.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState('open');
+    }
+  }
+
+  /**
+   * Give up a probe whose outcome says nothing about the server, such as a
+   * request cancelled by the client.
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  getRetryAt() {
+    return this.openedAt + this.options.resetTimeoutMs;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'closed' ? null : new Date(this.getRetryAt()).toISOString()
+    };
+  }
+}
@@ -0,0 +1,17 @@
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Compare two server lists by name
+ * A server whose configuration differs in any field is reported as changed.
+ */
+export function diffServers(previous = [], next = []) {
+  const before = new Map(previous.map(server => [server.name, server]));
+  const after = new Map(next.map(server => [server.name, server]));
+
+  return {
+    added: next.filter(server => !before.has(server.name)),
+    removed: previous.filter(server => !after.has(server.name)),
+    changed: next.filter(server => before.has(server.name) && !isDeepStrictEqual(before.get(server.name), server)),
+    unchanged: next.filter(server => isDeepStrictEqual(before.get(server.name), server))
+  };
+}
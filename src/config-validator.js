@@ -1,4 +1,14 @@
 import { existsSync } from 'fs';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { OAUTH_GRANT_TYPES } from './oauth.js';
+import { findSecretReferences, getSecretFields } from './secrets.js';
+import { RESTART_POLICIES } from './stdio-supervisor.js';
+import { TIMEOUT_KEYS } from './timeouts.js';
+
+/**
+ * HTTP header field names (RFC 9110 tokens)
+ */
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
 
 export class ConfigValidator {
   static validate(config) {
@@ -14,6 +24,18 @@ export class ConfigValidator {
       if (config.proxy.port < 1 || config.proxy.port > 65535) {
         errors.push('proxy.port must be between 1 and 65535');
       }
+      if (config.proxy.watchConfig !== undefined && typeof config.proxy.watchConfig !== 'boolean') {
+        errors.push('proxy.watchConfig must be a boolean');
+      }
+      if (config.proxy.timeouts !== undefined) {
+        errors.push(...this.validateTimeouts(config.proxy.timeouts, 'proxy.timeouts'));
+      }
+      if (config.proxy.circuitBreaker !== undefined) {
+        errors.push(...this.validateCircuitBreaker(config.proxy.circuitBreaker, 'proxy.circuitBreaker'));
+      }
+      if (config.proxy.listing !== undefined) {
+        errors.push(...this.validateListing(config.proxy.listing));
+      }
     }
     
     // Validate servers configuration
@@ -35,6 +57,32 @@ export class ConfigValidator {
       }
     }
     
+    // ${secret:...} references need a secrets file
+    if (Array.isArray(config.servers) && !config.security?.secretsFile) {
+      config.servers.forEach((server, index) => {
+        for (const [label, value] of getSecretFields(server)) {
+          if (findSecretReferences(value).some(({ source }) => source === 'secret')) {
+            errors.push(`servers[${index}]: ${label} references a secret but security.secretsFile is not set`);
+          }
+        }
+      });
+    }
+    
+    // Validate logging configuration
+    if (config.logging !== undefined && config.logging !== null) {
+      errors.push(...this.validateLogging(config.logging));
+    }
+    
+    // Validate health configuration
+    if (config.health !== undefined && config.health !== null) {
+      errors.push(...this.validateHealth(config.health, config.servers));
+    }
+    
+    // Validate security configuration
+    if (config.security !== undefined && config.security !== null) {
+      errors.push(...this.validateSecurity(config.security));
+    }
+    
     return {
       isValid: errors.length === 0,
       errors
@@ -56,7 +104,7 @@ export class ConfigValidator {
     
     // Validate based on server type
     const type = server.type || 'STDIO';
-    const validTypes = ['STDIO', 'SSE', 'STREAMABLE_HTTP'];
+    const validTypes = ['STDIO', 'SSE', 'STREAMABLE_HTTP', 'WEBSOCKET'];
     
     if (!validTypes.includes(type)) {
       errors.push(`${prefix}: Invalid type "${type}". Must be one of: ${validTypes.join(', ')}`);
@@ -71,8 +119,17 @@ export class ConfigValidator {
       if (server.args && !Array.isArray(server.args)) {
         errors.push(`${prefix}: args must be an array for STDIO server`);
       }
-    } else if (type === 'SSE' || type === 'STREAMABLE_HTTP') {
-      // HTTP/SSE servers need URL
+      
+      if (server.restart !== undefined) {
+        errors.push(...this.validateRestart(server.restart, prefix));
+      }
+      
+      if (server.stderrBufferSize !== undefined &&
+          (!Number.isInteger(server.stderrBufferSize) || server.stderrBufferSize < 0)) {
+        errors.push(`${prefix}: stderrBufferSize must be a non-negative integer`);
+      }
+    } else if (type === 'SSE' || type === 'STREAMABLE_HTTP' || type === 'WEBSOCKET') {
+      // HTTP/SSE/WebSocket servers need URL
       if (!server.url || typeof server.url !== 'string') {
         errors.push(`${prefix}: Missing or invalid url for ${type} server`);
       }
@@ -80,17 +137,402 @@ export class ConfigValidator {
       // Validate URL format
       if (server.url) {
         try {
-          new URL(server.url);
+          const { protocol } = new URL(server.url);
+          if (type === 'WEBSOCKET' && protocol !== 'ws:' && protocol !== 'wss:') {
+            errors.push(`${prefix}: url of a WEBSOCKET server must use ws:// or wss://`);
+          }
         } catch {
           errors.push(`${prefix}: Invalid URL format for ${type} server`);
         }
       }
+      
+      if ((type === 'WEBSOCKET' || type === 'STREAMABLE_HTTP') && server.reconnect !== undefined) {
+        errors.push(...this.validateReconnect(server.reconnect, prefix));
+      }
+      
+      if (server.headers !== undefined) {
+        errors.push(...this.validateHeaders(server.headers, prefix));
+      }
+      
+      for (const [label, value] of getSecretFields(server)) {
+        errors.push(...this.validateSecretReferences(value, `${prefix}: ${label}`));
+      }
+      
+      if (server.oauth !== undefined) {
+        if (type === 'WEBSOCKET') {
+          errors.push(`${prefix}: oauth is only supported for SSE and STREAMABLE_HTTP servers`);
+        } else {
+          errors.push(...this.validateOAuth(server.oauth, prefix));
+        }
+        if (server.bearerToken !== undefined) {
+          errors.push(`${prefix}: bearerToken cannot be combined with oauth`);
+        }
+      }
+    }
+    
+    if (type === 'STDIO' && server.headers !== undefined) {
+      errors.push(`${prefix}: headers are only supported for SSE, STREAMABLE_HTTP and WEBSOCKET servers`);
     }
     
     if (server.env && typeof server.env !== 'object') {
       errors.push(`${prefix}: env must be an object`);
     }
     
+    if (server.timeouts !== undefined) {
+      errors.push(...this.validateTimeouts(server.timeouts, `${prefix}.timeouts`, { allowTools: true }));
+    }
+    
+    if (server.circuitBreaker !== undefined) {
+      errors.push(...this.validateCircuitBreaker(server.circuitBreaker, `${prefix}.circuitBreaker`));
+    }
+    
+    return errors;
+  }
+  
+  static validateTimeouts(timeouts, prefix, { allowTools = false } = {}) {
+    const errors = [];
+    
+    if (!timeouts || typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+      return [`${prefix} must be an object`];
+    }
+    
+    const isPositive = value => typeof value === 'number' && value > 0;
+    
+    for (const [key, value] of Object.entries(timeouts)) {
+      if (TIMEOUT_KEYS.includes(key)) {
+        if (!isPositive(value)) {
+          errors.push(`${prefix}.${key} must be a positive number of milliseconds`);
+        }
+      } else if (key === 'tools' && allowTools) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${prefix}.tools must map tool name patterns to milliseconds`);
+        } else {
+          for (const [pattern, timeoutMs] of Object.entries(value)) {
+            if (!isPositive(timeoutMs)) {
+              errors.push(`${prefix}.tools["${pattern}"] must be a positive number of milliseconds`);
+            }
+          }
+        }
+      } else {
+        const allowed = allowTools ? [...TIMEOUT_KEYS, 'tools'] : TIMEOUT_KEYS;
+        errors.push(`${prefix}: Unknown timeout "${key}". Must be one of: ${allowed.join(', ')}`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateCircuitBreaker(circuitBreaker, prefix) {
+    const errors = [];
+    
+    if (!circuitBreaker || typeof circuitBreaker !== 'object' || Array.isArray(circuitBreaker)) {
+      return [`${prefix} must be an object`];
+    }
+    
+    const { enabled, failureThreshold, resetTimeoutMs } = circuitBreaker;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push(`${prefix}.enabled must be a boolean`);
+    }
+    if (failureThreshold !== undefined && (!Number.isInteger(failureThreshold) || failureThreshold < 1)) {
+      errors.push(`${prefix}.failureThreshold must be a positive integer`);
+    }
+    if (resetTimeoutMs !== undefined && (typeof resetTimeoutMs !== 'number' || resetTimeoutMs <= 0)) {
+      errors.push(`${prefix}.resetTimeoutMs must be a positive number`);
+    }
+    
+    return errors;
+  }
+  
+  static validateListing(listing) {
+    const errors = [];
+    
+    if (!listing || typeof listing !== 'object' || Array.isArray(listing)) {
+      return ['proxy.listing must be an object'];
+    }
+    
+    const { deadlineMs, cacheTtlMs, pageSize } = listing;
+    if (deadlineMs !== undefined && (typeof deadlineMs !== 'number' || deadlineMs <= 0)) {
+      errors.push('proxy.listing.deadlineMs must be a positive number');
+    }
+    if (cacheTtlMs !== undefined && (typeof cacheTtlMs !== 'number' || cacheTtlMs < 0)) {
+      errors.push('proxy.listing.cacheTtlMs must be a non-negative number');
+    }
+    if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 0)) {
+      errors.push('proxy.listing.pageSize must be a non-negative integer');
+    }
+    
+    return errors;
+  }
+  
+  static validateLogging(logging) {
+    const errors = [];
+    
+    if (typeof logging !== 'object' || Array.isArray(logging)) {
+      return ['logging must be an object'];
+    }
+    
+    if (logging.level !== undefined && !LOG_LEVELS.includes(logging.level)) {
+      errors.push(`Invalid logging.level "${logging.level}". Must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    
+    if (logging.format !== undefined && !LOG_FORMATS.includes(logging.format)) {
+      errors.push(`Invalid logging.format "${logging.format}". Must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    
+    if (logging.redact !== undefined && (!Array.isArray(logging.redact) || logging.redact.some(key => typeof key !== 'string'))) {
+      errors.push('logging.redact must be an array of field names');
+    }
+    
+    return errors;
+  }
+  
+  static validateHealth(health, servers) {
+    const errors = [];
+    
+    if (typeof health !== 'object' || Array.isArray(health)) {
+      return ['health must be an object'];
+    }
+    
+    if (health.requiredServers !== undefined) {
+      if (!Array.isArray(health.requiredServers)) {
+        errors.push('health.requiredServers must be an array of server names');
+      } else if (Array.isArray(servers)) {
+        const names = servers.map(server => server.name);
+        const unknown = health.requiredServers.filter(name => !names.includes(name));
+        if (unknown.length > 0) {
+          errors.push(`health.requiredServers references unknown servers: ${unknown.join(', ')}`);
+        }
+      }
+    }
+    
+    for (const key of ['pingIntervalMs', 'pingTimeoutMs']) {
+      const value = health[key];
+      if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        errors.push(`health.${key} must be a positive number`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateSecurity(security) {
+    const errors = [];
+    
+    if (typeof security !== 'object' || Array.isArray(security)) {
+      return ['security must be an object'];
+    }
+    
+    if (security.allowedOrigins !== undefined && security.allowedOrigins !== null) {
+      if (!Array.isArray(security.allowedOrigins)) {
+        errors.push('security.allowedOrigins must be an array');
+      } else {
+        security.allowedOrigins.forEach((origin, index) => {
+          if (typeof origin !== 'string') {
+            errors.push(`security.allowedOrigins[${index}] must be a string`);
+          } else if (origin !== '*') {
+            try {
+              if (new URL(origin).origin !== origin) {
+                errors.push(`security.allowedOrigins[${index}]: "${origin}" is not an origin (scheme://host[:port])`);
+              }
+            } catch {
+              errors.push(`security.allowedOrigins[${index}]: Invalid origin "${origin}"`);
+            }
+          }
+        });
+      }
+    }
+    
+    if (security.secretsFile !== undefined && (typeof security.secretsFile !== 'string' || security.secretsFile === '')) {
+      errors.push('security.secretsFile must be a non-empty string');
+    }
+    
+    for (const key of ['apiKey', 'adminApiKey']) {
+      const value = security[key];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(`security.${key} must be a non-empty string`);
+      } else if (/\$\{[^}]+\}/.test(value)) {
+        errors.push(`security.${key} references an environment variable that is not set`);
+      }
+    }
+    
+    if (security.adminApiKey && security.adminApiKey === security.apiKey) {
+      errors.push('security.adminApiKey must differ from security.apiKey');
+    }
+    
+    if (security.clients !== undefined && security.clients !== null) {
+      if (!Array.isArray(security.clients)) {
+        errors.push('security.clients must be an array');
+      } else {
+        security.clients.forEach((client, index) => {
+          errors.push(...this.validateClient(client, index));
+        });
+        
+        const names = security.clients.map(client => client?.name);
+        const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+        if (duplicates.length > 0) {
+          errors.push(`Duplicate client names found: ${duplicates.join(', ')}`);
+        }
+        
+        const keys = security.clients.map(client => client?.apiKey).filter(Boolean);
+        if (new Set(keys).size !== keys.length || keys.includes(security.apiKey) || keys.includes(security.adminApiKey)) {
+          errors.push('security.clients: API keys must be unique');
+        }
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateClient(client, index) {
+    const errors = [];
+    const prefix = `security.clients[${index}]`;
+    
+    if (!client || typeof client !== 'object') {
+      return [`${prefix}: must be an object`];
+    }
+    
+    if (!client.name || typeof client.name !== 'string') {
+      errors.push(`${prefix}: Missing or invalid name`);
+    }
+    
+    if (!client.apiKey || typeof client.apiKey !== 'string') {
+      errors.push(`${prefix}: Missing or invalid apiKey`);
+    } else if (/\$\{[^}]+\}/.test(client.apiKey)) {
+      errors.push(`${prefix}: apiKey references an environment variable that is not set`);
+    }
+    
+    for (const key of ['allow', 'deny']) {
+      const patterns = client[key];
+      if (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string'))) {
+        errors.push(`${prefix}: ${key} must be an array of server:tool glob patterns`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateHeaders(headers, prefix) {
+    const errors = [];
+    
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      return [`${prefix}: headers must map header names to values`];
+    }
+    
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME.test(name)) {
+        errors.push(`${prefix}: Invalid header name "${name}"`);
+      }
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`${prefix}: headers["${name}"] must be a string`);
+      } else if (/[\r\n\0]/.test(String(value))) {
+        errors.push(`${prefix}: headers["${name}"] must not contain line breaks`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Check the references in a value that may hold secrets. Messages name
+   * the reference, never the value.
+   */
+  static validateSecretReferences(value, label) {
+    const errors = [];
+    
+    for (const { reference, name } of findSecretReferences(value)) {
+      if (name === '') {
+        errors.push(`${label}: ${reference} does not name a secret`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateOAuth(oauth, prefix) {
+    const errors = [];
+    
+    if (!oauth || typeof oauth !== 'object' || Array.isArray(oauth)) {
+      return [`${prefix}: oauth must be an object`];
+    }
+    
+    const known = ['grantType', 'tokenUrl', 'clientId', 'clientSecret', 'refreshToken', 'scope', 'resource', 'tokenCache', 'refreshSkewMs'];
+    for (const key of Object.keys(oauth)) {
+      if (!known.includes(key)) {
+        errors.push(`${prefix}: Unknown oauth option "${key}". Must be one of: ${known.join(', ')}`);
+      }
+    }
+    
+    for (const key of ['tokenUrl', 'clientId', 'clientSecret', 'refreshToken', 'scope', 'resource', 'tokenCache']) {
+      if (oauth[key] !== undefined && (typeof oauth[key] !== 'string' || oauth[key] === '')) {
+        errors.push(`${prefix}: oauth.${key} must be a non-empty string`);
+      }
+    }
+    
+    if (oauth.clientId === undefined) {
+      errors.push(`${prefix}: oauth.clientId is required`);
+    }
+    
+    const grantType = oauth.grantType || (oauth.refreshToken ? 'refresh_token' : 'client_credentials');
+    if (!OAUTH_GRANT_TYPES.includes(grantType)) {
+      errors.push(`${prefix}: Invalid oauth.grantType "${grantType}". Must be one of: ${OAUTH_GRANT_TYPES.join(', ')}`);
+    } else if (grantType === 'client_credentials' && oauth.clientSecret === undefined) {
+      errors.push(`${prefix}: oauth.clientSecret is required for the client_credentials grant`);
+    } else if (grantType === 'refresh_token' && oauth.refreshToken === undefined) {
+      errors.push(`${prefix}: oauth.refreshToken is required for the refresh_token grant`);
+    }
+    
+    if (typeof oauth.tokenUrl === 'string') {
+      try {
+        new URL(oauth.tokenUrl);
+      } catch {
+        errors.push(`${prefix}: Invalid URL format for oauth.tokenUrl`);
+      }
+    }
+    
+    if (oauth.refreshSkewMs !== undefined && (typeof oauth.refreshSkewMs !== 'number' || oauth.refreshSkewMs < 0)) {
+      errors.push(`${prefix}: oauth.refreshSkewMs must be a non-negative number of milliseconds`);
+    }
+    
+    return errors;
+  }
+  
+  static validateReconnect(reconnect, prefix) {
+    const errors = [];
+    
+    if (!reconnect || typeof reconnect !== 'object' || Array.isArray(reconnect)) {
+      return [`${prefix}: reconnect must be an object`];
+    }
+    
+    for (const [key, value] of Object.entries(reconnect)) {
+      if (key !== 'initialDelayMs' && key !== 'maxDelayMs') {
+        errors.push(`${prefix}: Unknown reconnect option "${key}". Must be one of: initialDelayMs, maxDelayMs`);
+      } else if (typeof value !== 'number' || value <= 0) {
+        errors.push(`${prefix}: reconnect.${key} must be a positive number of milliseconds`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  static validateRestart(restart, prefix) {
+    const errors = [];
+    
+    if (!restart || typeof restart !== 'object' || Array.isArray(restart)) {
+      return [`${prefix}: restart must be an object`];
+    }
+    
+    if (restart.policy !== undefined && !RESTART_POLICIES.includes(restart.policy)) {
+      errors.push(`${prefix}: Invalid restart.policy "${restart.policy}". Must be one of: ${RESTART_POLICIES.join(', ')}`);
+    }
+    
+    for (const key of ['maxRestarts', 'windowMs', 'initialDelayMs', 'maxDelayMs']) {
+      const value = restart[key];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`${prefix}: restart.${key} must be a non-negative number`);
+      }
+    }
+    
     return errors;
   }
   
@@ -0,0 +1,163 @@
+import { EmptyResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from './logger.js';
+import { withTimeout } from './timeouts.js';
+
+export const DEFAULT_HEALTH_OPTIONS = {
+  requiredServers: [],
+  pingIntervalMs: 30000,
+  pingTimeoutMs: 5000
+};
+
+const log = logger.child({ component: 'health' });
+
+/**
+ * Tracks the health of upstream MCP servers
+ * Periodically pings every connected server, remembers the last successful
+ * ping and tool count, and derives per-server status, overall health and
+ * readiness (all required servers connected) for the /health endpoints.
+ */
+export class HealthMonitor {
+  constructor(proxy, options = {}) {
+    this.proxy = proxy;
+    this.options = { ...DEFAULT_HEALTH_OPTIONS, ...(options || {}) };
+    this.servers = new Map();
+    this.timer = null;
+  }
+
+  getRecord(name) {
+    if (!this.servers.has(name)) {
+      this.servers.set(name, { lastPingAt: null, lastPingError: null, toolCount: null });
+    }
+    return this.servers.get(name);
+  }
+
+  recordToolCount(name, count) {
+    this.getRecord(name).toolCount = count;
+  }
+
+  /**
+   * Forget what is known about a server's session, e.g. after a restart.
+   */
+  reset(name) {
+    this.servers.delete(name);
+  }
+
+  /**
+   * Replace the options, restarting the ping timer if it is running.
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_HEALTH_OPTIONS, ...(options || {}) };
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.options.pingIntervalMs);
+    this.timer.unref();
+    this.checkAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async checkAll() {
+    await Promise.allSettled(
+      Array.from(this.proxy.mcpServers, ([name, mcpServer]) => this.check(name, mcpServer))
+    );
+  }
+
+  async check(name, mcpServer) {
+    const record = this.getRecord(name);
+
+    try {
+      await withTimeout(this.proxy.requestServer(mcpServer, 'ping', {}, EmptyResultSchema), this.options.pingTimeoutMs);
+      record.lastPingAt = Date.now();
+      record.lastPingError = null;
+
+      if (record.toolCount === null && this.proxy.supportsCapability(mcpServer, 'tools')) {
+        await withTimeout(this.proxy.listServerTools(name, mcpServer), this.options.pingTimeoutMs);
+      }
+    } catch (error) {
+      record.lastPingError = error.message;
+      log.warn('Health check failed', { server: name, error });
+    }
+  }
+
+  /**
+   * Status of one configured server, whether or not it is connected.
+   */
+  getServerStatus(serverConfig) {
+    const { name, type = 'STDIO' } = serverConfig;
+    const record = this.getRecord(name);
+    const mcpServer = this.proxy.mcpServers.get(name);
+    const connected = this.proxy.isServerConnected(name);
+
+    let lifecycle;
+    if (type === 'STDIO') {
+      lifecycle = this.proxy.supervisors.get(name)?.getStatus();
+    } else {
+      lifecycle = this.proxy.httpServerStatus.get(name);
+      // A dropped SSE stream reconnects by itself
+      if (lifecycle?.state === 'running' && !connected) {
+        lifecycle = { ...lifecycle, state: 'reconnecting' };
+      }
+    }
+    lifecycle = lifecycle || { state: 'stopped', restarts: 0, lastError: null, startedAt: null };
+
+    return {
+      type,
+      state: lifecycle.state,
+      connected,
+      lastError: record.lastPingError || lifecycle.lastError || null,
+      uptimeSeconds: connected && lifecycle.startedAt
+        ? Math.round((Date.now() - lifecycle.startedAt) / 1000)
+        : null,
+      restarts: lifecycle.restarts || 0,
+      toolCount: record.toolCount,
+      lastSuccessfulPing: record.lastPingAt ? new Date(record.lastPingAt).toISOString() : null,
+      circuit: mcpServer?.circuitBreaker?.getStatus() ?? null
+    };
+  }
+
+  getReadiness() {
+    const missing = this.options.requiredServers.filter(name => !this.proxy.isServerConnected(name));
+    return {
+      ready: this.proxy.initialized && missing.length === 0,
+      initialized: this.proxy.initialized,
+      requiredServers: this.options.requiredServers,
+      missingServers: missing
+    };
+  }
+
+  getHealth() {
+    const serverStatus = Object.fromEntries(
+      this.proxy.config.servers.map(serverConfig => [serverConfig.name, this.getServerStatus(serverConfig)])
+    );
+    const readiness = this.getReadiness();
+    const allConnected = Object.values(serverStatus).every(status =>
+      status.connected && !status.lastError && status.circuit?.state !== 'open'
+    );
+
+    let status = 'healthy';
+    if (!readiness.ready) {
+      status = 'unhealthy';
+    } else if (!allConnected) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      ready: readiness.ready,
+      servers: Array.from(this.proxy.mcpServers.keys()),
+      totalServers: this.proxy.mcpServers.size,
+      configuredServers: this.proxy.config.servers.length,
+      missingRequiredServers: readiness.missingServers,
+      serverStatus
+    };
+  }
+}
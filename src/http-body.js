@@ -0,0 +1,31 @@
+/**
+ * Largest accepted request body, in bytes
+ */
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body. Rejects with an error carrying the
+ * HTTP status to answer with: 413 for bodies over MAX_BODY_BYTES, 400 for
+ * invalid JSON. An empty body reads as {}.
+ */
+export function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
@@ -1,284 +1,417 @@
-import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+import { OAuthClient } from './oauth.js';
+import { CLIENT_INFO, DEFAULT_RECONNECT_OPTIONS, PROTOCOL_VERSION, RemoteTransport } from './remote-transport.js';
+import { getBackoffDelay } from './timeouts.js';
 
 /**
- * HTTP Transport for MCP servers that use HTTP/SSE protocols
- * Handles STREAMABLE_HTTP and SSE server types
+ * Header carrying the session id a Streamable HTTP server assigns on
+ * initialize
  */
-export class HttpTransport extends EventEmitter {
-  constructor(config) {
-    super();
-    this.config = config;
-    this.url = config.url;
-    this.headers = this.buildHeaders();
-    this.connected = false;
-    this.eventSource = null;
-    this.requestId = 0;
-    this.pendingRequests = new Map();
-  }
-
-  buildHeaders() {
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'User-Agent': 'WebSocket-MCP-Proxy/1.0.0'
-    };
+export const SESSION_HEADER = 'Mcp-Session-Id';
 
-    // Add authentication headers
-    if (this.config.bearerToken) {
-      headers['Authorization'] = `Bearer ${this.config.bearerToken}`;
+/**
+ * Parse a text/event-stream body into events ({ event, data, id }).
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: undefined };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + (buffer.startsWith('\r\n', newline) ? 2 : 1));
+
+      if (line === '') {
+        if (event.data.length > 0) {
+          yield { event: event.event, data: event.data.join('\n'), id: event.id };
+        }
+        event = { event: 'message', data: [], id: undefined };
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event.event = value;
+      else if (field === 'data') event.data.push(value);
+      else if (field === 'id') event.id = value;
     }
+  }
+}
 
-    if (this.config.apiKey) {
-      headers['X-API-Key'] = this.config.apiKey;
-    }
+/**
+ * Transport for MCP servers of type STREAMABLE_HTTP. SseTransport extends it
+ * for SSE servers.
+ * Initialize is answered with a session id that every later request carries,
+ * together with the negotiated protocol version. Responses arrive as JSON or
+ * as an event stream, which may also carry notifications; an optional GET
+ * stream carries the server's other messages. A session the server no longer
+ * knows (404) is initialized again, and disconnect() ends it with DELETE.
+ * Servers with an oauth block get their Authorization header from an
+ * OAuthClient.
+ *
+ * Events (besides those of RemoteTransport):
+ * - session: a session was initialized after connect(), because the old one
+ *   expired or the first handshake failed
+ */
+export class HttpTransport extends RemoteTransport {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.log = logger.child({ component: 'http-transport', server: config.name, type: config.type });
+    this.oauth = config.oauth ? new OAuthClient(config, { timeoutMs: this.connectTimeoutMs, secretsFile: this.secretsFile }) : null;
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...(config.reconnect || {}) };
+    this.sessionId = null;
+    this.initializing = null;
+    this.streamController = null;
+    this.lastEventId = null;
+  }
 
-    // Add custom headers from environment
-    if (this.config.env) {
-      Object.entries(this.config.env).forEach(([key, value]) => {
-        if (key.toLowerCase().includes('header') || key === 'Authorization') {
-          headers[key] = value;
-        }
-      });
+  /**
+   * Headers for a request within the current session
+   */
+  getSessionHeaders(extra = {}) {
+    const headers = { ...this.headers, ...extra };
+    if (this.sessionId) {
+      headers[SESSION_HEADER] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
     }
-
     return headers;
   }
 
-  async connect() {
-    if (this.connected) return;
-
-    try {
-      if (this.config.type === 'SSE') {
-        await this.connectSSE();
-      } else if (this.config.type === 'STREAMABLE_HTTP') {
-        await this.connectHTTP();
-      }
-      
-      this.connected = true;
-      this.emit('connect');
-      console.log(`[HTTP Transport] Connected to ${this.config.name} (${this.config.type})`);
-    } catch (error) {
-      console.warn(`[HTTP Transport] Failed to connect to ${this.config.name}:`, error.message);
-      // Mark as connected anyway - we'll handle errors per request
-      this.connected = true;
-      this.emit('connect');
-    }
+  /**
+   * Put a current OAuth access token into the Authorization header.
+   * Returns the token.
+   */
+  async authorize() {
+    const token = await this.oauth.getAccessToken();
+    this.headers['Authorization'] = `Bearer ${token}`;
+    return token;
   }
 
-  async connectSSE() {
-    // For SSE, we establish a persistent connection
-    const EventSource = (await import('eventsource')).default;
-    
-    const eventSourceUrl = new URL(this.url);
-    
-    this.eventSource = new EventSource(eventSourceUrl.toString(), {
-      headers: this.headers
-    });
+  /**
+   * fetch() with OAuth: a 401 means the server no longer accepts the token,
+   * and the request is retried once with a new one. init() builds the
+   * request options, so the retry carries the new token.
+   */
+  async authorizedFetch(url, init) {
+    if (!this.oauth) {
+      return fetch(url, init());
+    }
 
-    this.eventSource.onopen = () => {
-      console.log(`[SSE] Connected to ${this.config.name}`);
-    };
+    const token = await this.authorize();
+    const response = await fetch(url, init());
+    if (response.status !== 401) {
+      return response;
+    }
 
-    this.eventSource.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        this.handleMessage(data);
-      } catch (error) {
-        console.error(`[SSE] Error parsing message from ${this.config.name}:`, error);
-      }
-    };
+    await response.body?.cancel();
+    this.log.warn('Access token rejected; retrying with a new one');
+    this.oauth.invalidate(token);
+    await this.authorize();
+    return fetch(url, init());
+  }
 
-    this.eventSource.onerror = (error) => {
-      console.error(`[SSE] Error from ${this.config.name}:`, error);
-      this.emit('error', error);
-    };
+  async connectTransport() {
+    await this.connectHTTP();
   }
 
   async connectHTTP() {
-    // For STREAMABLE_HTTP, we test the connection with a ping/health check
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-      
-      const response = await fetch(this.url, {
-        method: 'POST',
-        headers: this.headers,
-        signal: controller.signal,
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'initialize',
-          id: 'init-' + Date.now(),
-          params: {
-            protocolVersion: '2024-11-05',
-            capabilities: {
-              roots: { listChanged: true },
-              sampling: {}
-            },
-            clientInfo: {
-              name: 'WebSocket-MCP-Proxy',
-              version: '1.0.0'
-            }
-          }
-        })
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      console.log(`[HTTP] Connected to ${this.config.name}`);
+      await this.initialize();
     } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Connection timeout to ${this.config.name}`);
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Connection to ${this.config.name} timed out after ${this.connectTimeoutMs}ms`);
       }
-      console.error(`[HTTP] Failed to connect to ${this.config.name}:`, error);
+      this.log.error('Initialize request failed', { error });
       throw error;
     }
   }
 
-  async send(message) {
-    if (!this.connected) {
-      throw new Error(`Transport not connected for ${this.config.name}`);
+  /**
+   * Run the MCP handshake, starting a new session, and open the GET stream.
+   */
+  async initialize() {
+    this.closeEventStream();
+    this.sessionId = null;
+    this.protocolVersion = null;
+
+    const message = {
+      jsonrpc: '2.0',
+      method: 'initialize',
+      id: `init-${++this.requestId}`,
+      params: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }
+    };
+    const response = await this.post(message, AbortSignal.timeout(this.connectTimeoutMs));
+    const answer = await this.readResponse(response, message.id);
+
+    if (answer.error) {
+      throw new Error(`Initialize failed: ${answer.error.message}`);
     }
 
-    const requestId = message.id || `req-${++this.requestId}`;
-    message.id = requestId;
+    this.sessionId = response.headers.get(SESSION_HEADER);
+    ({ protocolVersion: this.protocolVersion, capabilities: this.capabilities, serverInfo: this.serverInfo } = answer.result);
+    await this.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    this.log.debug('Initialize request succeeded', { sessionId: this.sessionId, protocolVersion: this.protocolVersion });
 
-    try {
-      if (this.config.type === 'SSE') {
-        return await this.sendSSE(message);
-      } else if (this.config.type === 'STREAMABLE_HTTP') {
-        return await this.sendHTTP(message);
-      }
-    } catch (error) {
-      console.error(`[${this.config.type}] Error sending message to ${this.config.name}:`, error);
-      throw error;
+    this.openEventStream();
+  }
+
+  /**
+   * Initialize again after connect(), sharing one handshake between
+   * concurrent callers.
+   */
+  reinitialize() {
+    if (!this.initializing) {
+      this.initializing = this.initialize()
+        .then(() => {
+          this.lastError = null;
+          this.emit('session');
+        })
+        .finally(() => {
+          this.initializing = null;
+        });
     }
+    return this.initializing;
   }
 
-  async sendSSE(message) {
-    // For SSE, we typically send via a separate HTTP endpoint
-    const postUrl = this.url.replace('/sse', '/send') || this.url + '/send';
-    
-    const response = await fetch(postUrl, {
+  /**
+   * Send a notification, which has no response.
+   */
+  async notify(message) {
+    const response = await this.authorizedFetch(this.getPostUrl(), () => ({
       method: 'POST',
-      headers: this.headers,
+      headers: this.getSessionHeaders(),
       body: JSON.stringify(message)
-    });
+    }));
+    await response.body?.cancel();
 
     if (!response.ok) {
-      throw new Error(`SSE POST failed: ${response.status} ${response.statusText}`);
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
+  }
 
-    // For SSE, the response comes via the event stream
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        this.pendingRequests.delete(message.id);
-        reject(new Error('SSE request timeout'));
-      }, 30000);
+  /**
+   * URL that requests and notifications are POSTed to
+   */
+  getPostUrl() {
+    return this.url;
+  }
 
-      this.pendingRequests.set(message.id, { resolve, reject, timeout });
+  /**
+   * POST a request. It stays in pendingRequests until the response has been
+   * read, so cancelling or disconnecting settles it at once.
+   */
+  sendRequest(message, signal) {
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(message.id, { resolve, reject });
+      this.sendHTTP(message, signal)
+        .then(resolve, reject)
+        .finally(() => this.pendingRequests.delete(message.id));
     });
   }
 
-  async sendHTTP(message) {
-    const response = await fetch(this.url, {
+  post(message, signal) {
+    return this.authorizedFetch(this.url, () => ({
       method: 'POST',
-      headers: this.headers,
-      body: JSON.stringify(message)
-    });
+      headers: this.getSessionHeaders({ 'Accept': 'application/json, text/event-stream' }),
+      body: JSON.stringify(message),
+      signal
+    }));
+  }
+
+  async sendHTTP(message, signal) {
+    // The first handshake failed; try again now that there is a request
+    if (!this.protocolVersion) {
+      await this.reinitialize();
+    }
 
+    let response = await this.post(message, signal);
+
+    if (response.status === 404 && this.sessionId) {
+      await response.body?.cancel();
+      this.log.warn('Session expired; initializing again', { sessionId: this.sessionId });
+      await this.reinitialize();
+      response = await this.post(message, signal);
+    }
+
+    return this.readResponse(response, message.id);
+  }
+
+  /**
+   * Read the answer to a request from a POST response: a JSON body, or an
+   * event stream whose other messages are handled as they arrive.
+   */
+  async readResponse(response, requestId) {
     if (!response.ok) {
+      await response.body?.cancel();
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const contentType = response.headers.get('content-type');
-    
-    if (contentType && contentType.includes('application/json')) {
-      return await response.json();
-    } else if (contentType && contentType.includes('text/')) {
-      const text = await response.text();
-      try {
-        return JSON.parse(text);
-      } catch {
-        return { result: text };
-      }
-    } else {
-      // Handle streaming response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Try to parse complete JSON messages
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const data = JSON.parse(line);
-              if (data.id === message.id) {
-                return data;
-              }
-            } catch (error) {
-              console.warn(`[HTTP] Failed to parse streaming line:`, line);
-            }
-          }
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('text/event-stream')) {
+      for await (const { event, data } of readEventStream(response.body)) {
+        if (event !== 'message') continue;
+        const message = this.parseMessage(data);
+        if (message?.id === requestId && message.method === undefined) {
+          // Leaving the loop cancels the rest of the stream
+          return message;
         }
+        if (message) this.handleMessage(message);
       }
-      
-      // Parse any remaining buffer
-      if (buffer.trim()) {
+      throw new Error(`Stream from ${this.config.name} ended without a response to ${requestId}`);
+    }
+
+    const body = await response.json();
+    const messages = Array.isArray(body) ? body : [body];
+    const answer = messages.find(message => message.id === requestId && message.method === undefined);
+    for (const message of messages) {
+      if (message !== answer) this.handleMessage(message);
+    }
+    if (!answer) {
+      throw new Error(`Response from ${this.config.name} did not answer ${requestId}`);
+    }
+    return answer;
+  }
+
+  parseMessage(data) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      this.log.warn('Failed to parse streamed message', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Open the GET stream on which the server may send notifications outside
+   * of any request. Servers that do not offer one answer 405. The stream is
+   * reopened, with Last-Event-ID and the reconnect backoff, until the session
+   * ends; a 404 means the session expired and starts a new one. Other 4xx
+   * answers (a 401 only after a new token was tried) close it for good.
+   * Failures are reported in lastError and as error events.
+   */
+  openEventStream() {
+    const controller = new AbortController();
+    this.streamController = controller;
+
+    const run = async () => {
+      let attempt = 0;
+      while (!controller.signal.aborted) {
         try {
-          return JSON.parse(buffer);
+          const response = await this.authorizedFetch(this.url, () => {
+            const headers = this.getSessionHeaders({ 'Accept': 'text/event-stream' });
+            delete headers['Content-Type'];
+            if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+            return { method: 'GET', headers, signal: controller.signal };
+          });
+          if (response.status === 405) {
+            await response.body?.cancel();
+            this.log.debug('Server does not offer a GET stream');
+            return;
+          }
+          if (response.status === 404 && this.sessionId) {
+            await response.body?.cancel();
+            this.log.warn('Session expired; initializing again', { sessionId: this.sessionId });
+            this.reinitialize().catch((error) => {
+              this.lastError = error.message;
+              this.log.error('Initialize request failed', { error });
+              this.emit('error', error);
+            });
+            return;
+          }
+          if (!response.ok) {
+            await response.body?.cancel();
+            const error = new Error(`GET stream of ${this.config.name} failed: HTTP ${response.status} ${response.statusText}`);
+            if (response.status >= 400 && response.status < 500) {
+              this.lastError = error.message;
+              this.log.error('GET stream rejected; not reopening it', { status: response.status });
+              this.emit('error', error);
+              return;
+            }
+            throw error;
+          }
+
+          this.log.debug('GET stream opened');
+          attempt = 0;
+          for await (const { event, data, id } of readEventStream(response.body)) {
+            if (id !== undefined) this.lastEventId = id;
+            if (event !== 'message') continue;
+            const message = this.parseMessage(data);
+            if (message) this.handleMessage(message);
+          }
         } catch (error) {
-          return { result: buffer };
+          if (controller.signal.aborted) return;
+          attempt++;
+          this.lastError = error.message;
+          this.log.warn('GET stream failed; reopening', { attempt, error });
+          this.emit('error', error);
         }
+
+        await this.waitBeforeReopening(attempt, controller.signal);
       }
-    }
+    };
+
+    run();
   }
 
-  handleMessage(data) {
-    if (data.id && this.pendingRequests.has(data.id)) {
-      const { resolve, timeout } = this.pendingRequests.get(data.id);
-      clearTimeout(timeout);
-      this.pendingRequests.delete(data.id);
-      resolve(data);
-    } else {
-      // Handle notifications or other messages
-      this.emit('message', data);
-    }
+  /**
+   * Wait the reconnect backoff for an attempt; aborting signal ends the
+   * wait early.
+   */
+  waitBeforeReopening(attempt, signal) {
+    const delay = getBackoffDelay(Math.max(attempt, 1), this.reconnectOptions);
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, delay);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
   }
 
-  async disconnect() {
-    if (!this.connected) return;
+  closeEventStream() {
+    this.streamController?.abort();
+    this.streamController = null;
+    this.lastEventId = null;
+  }
 
-    if (this.eventSource) {
-      this.eventSource.close();
-      this.eventSource = null;
-    }
+  /**
+   * End the session on the server. Servers that do not allow clients to end
+   * sessions answer 405, which is fine.
+   */
+  async endSession() {
+    if (!this.sessionId) return;
 
-    // Clear pending requests
-    for (const [id, { reject, timeout }] of this.pendingRequests) {
-      clearTimeout(timeout);
-      reject(new Error('Transport disconnected'));
+    try {
+      const response = await this.authorizedFetch(this.url, () => ({
+        method: 'DELETE',
+        headers: this.getSessionHeaders(),
+        signal: AbortSignal.timeout(this.connectTimeoutMs)
+      }));
+      await response.body?.cancel();
+    } catch (error) {
+      this.log.warn('Failed to end session', { error });
     }
-    this.pendingRequests.clear();
-
-    this.connected = false;
-    this.emit('disconnect');
-    console.log(`[HTTP Transport] Disconnected from ${this.config.name}`);
+    this.sessionId = null;
   }
 
-  isConnected() {
-    return this.connected;
+  async disconnect() {
+    if (!this.connected) return;
+
+    this.closeEventStream();
+    await this.endSession();
+    await super.disconnect();
   }
 }
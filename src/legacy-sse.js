@@ -0,0 +1,86 @@
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { rejectUnauthorized } from './access-control.js';
+import { logger } from './logger.js';
+
+/**
+ * Path clients POST their messages to, announced in the endpoint event
+ */
+export const MESSAGES_PATH = '/messages';
+
+const log = logger.child({ component: 'legacy-sse' });
+
+/**
+ * The HTTP+SSE transport of protocol version 2024-11-05, for older clients
+ *
+ *   GET  /sse                      open a session; the first event is
+ *                                  `endpoint`, the URL to POST messages to
+ *   POST /messages?sessionId=...   send a message; answers arrive on the
+ *                                  session's stream
+ *
+ * Sessions last as long as the stream and use the same authentication,
+ * policies and routing as WebSocket connections. Every POST carries a key
+ * of the client that opened the session.
+ */
+export class LegacySseEndpoint {
+  constructor(proxy) {
+    this.proxy = proxy;
+    this.sessions = new Map();
+  }
+
+  authenticate(req, res) {
+    const auth = this.proxy.accessControl.authenticate(req);
+    if (!auth.allowed) {
+      rejectUnauthorized(req, auth, 'SSE', headers => this.proxy.sendJson(res, auth.status, { error: auth.reason }, headers));
+    }
+    return auth;
+  }
+
+  handleStream(req, res) {
+    if (req.method !== 'GET') {
+      this.proxy.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const auth = this.authenticate(req, res);
+    if (!auth.allowed) return;
+
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    const { connectionId } = this.proxy.openConnection({
+      type: 'sse',
+      client: auth.client,
+      remoteAddress: req.socket.remoteAddress,
+      transport,
+      close: () => transport.close()
+    });
+
+    this.sessions.set(transport.sessionId, { transport, connectionId, client: auth.client });
+    res.on('close', () => {
+      log.info('SSE session closed', { connectionId });
+      this.sessions.delete(transport.sessionId);
+      this.proxy.closeConnection(connectionId);
+    });
+  }
+
+  async handleMessage(req, res) {
+    if (req.method !== 'POST') {
+      this.proxy.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const auth = this.authenticate(req, res);
+    if (!auth.allowed) return;
+
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('sessionId');
+    const session = this.sessions.get(sessionId);
+    if (!session || session.client?.name !== auth.client?.name) {
+      this.proxy.sendJson(res, 404, { error: 'Session not found' });
+      return;
+    }
+
+    try {
+      await session.transport.handlePostMessage(req, res);
+    } catch (error) {
+      log.warn('Error handling SSE message', { connectionId: session.connectionId, error });
+    }
+  }
+}
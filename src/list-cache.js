@@ -0,0 +1,78 @@
+/**
+ * Settings for aggregated list requests, overridable under proxy.listing:
+ * - deadlineMs: how long a client's list waits for each server
+ * - cacheTtlMs: how long a server's list is reused (0 disables the cache)
+ * - pageSize: items per page returned to clients (0 returns whole lists)
+ */
+export const DEFAULT_LISTING_OPTIONS = {
+  deadlineMs: 5000,
+  cacheTtlMs: 300000,
+  pageSize: 0
+};
+
+/**
+ * Per-server cache of list results (such as tools/list)
+ * Entries expire after ttlMs (0 disables caching). Concurrent loads of the
+ * same server share one upstream request, and a load that was started
+ * before the entry was invalidated does not overwrite it.
+ */
+export class ListCache {
+  constructor({ ttlMs = 0 } = {}) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.generations = new Map();
+  }
+
+  /**
+   * Cached items if still fresh, otherwise null.
+   */
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry || Date.now() - entry.fetchedAt >= this.ttlMs) return null;
+    return entry.items;
+  }
+
+  /**
+   * Last known items, however old.
+   */
+  peek(name) {
+    return this.entries.get(name)?.items ?? null;
+  }
+
+  set(name, items) {
+    this.entries.set(name, { items, fetchedAt: Date.now() });
+  }
+
+  invalidate(name) {
+    this.entries.delete(name);
+    this.pending.delete(name);
+    this.generations.set(name, (this.generations.get(name) || 0) + 1);
+  }
+
+  /**
+   * Return the cached items or load them with fetch.
+   */
+  load(name, fetch) {
+    const cached = this.get(name);
+    if (cached) return Promise.resolve(cached);
+    if (this.pending.has(name)) return this.pending.get(name);
+
+    const generation = this.generations.get(name) || 0;
+    const promise = fetch()
+      .then((items) => {
+        if ((this.generations.get(name) || 0) === generation) {
+          this.set(name, items);
+        }
+        return items;
+      })
+      .finally(() => {
+        if (this.pending.get(name) === promise) {
+          this.pending.delete(name);
+        }
+      });
+
+    this.pending.set(name, promise);
+    return promise;
+  }
+}
@@ -0,0 +1,147 @@
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+export const LOG_FORMATS = ['json', 'pretty'];
+
+/**
+ * Field names whose values are always replaced with [REDACTED], matched
+ * case-insensitively (also inside nested objects such as header maps)
+ */
+export const DEFAULT_REDACTED_KEYS = [
+  'authorization',
+  'x-api-key',
+  'apikey',
+  'bearertoken',
+  'cookie',
+  'set-cookie',
+  'password',
+  'secret',
+  'token',
+  'access_token',
+  'refresh_token',
+  'client_secret',
+  'accesstoken',
+  'refreshtoken',
+  'clientsecret'
+];
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Structured logger
+ * Writes one line per entry, either as JSON or in a human-readable format.
+ * Child loggers add context fields (server, connectionId, requestId, tool...)
+ * and share their parent's settings, so configure() applies to all of them.
+ */
+export class Logger {
+  constructor(context = {}, settings = null) {
+    this.context = context;
+    this.settings = settings || {
+      level: 'info',
+      format: 'pretty',
+      redactKeys: new Set(DEFAULT_REDACTED_KEYS)
+    };
+  }
+
+  /**
+   * Apply the logging section of the configuration.
+   */
+  configure({ level, format, redact = [] } = {}) {
+    if (level) this.settings.level = level;
+    if (format) this.settings.format = format;
+    this.settings.redactKeys = new Set([
+      ...DEFAULT_REDACTED_KEYS,
+      ...redact.map(key => key.toLowerCase())
+    ]);
+  }
+
+  child(context) {
+    return new Logger({ ...this.context, ...context }, this.settings);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.settings.level);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = this.redact({ ...this.context, ...fields });
+    const line = this.settings.format === 'json'
+      ? this.formatJson(level, message, entry)
+      : this.formatPretty(level, message, entry);
+
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  formatJson(level, message, entry) {
+    return JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...entry
+    });
+  }
+
+  formatPretty(level, message, entry) {
+    const { error, ...rest } = entry;
+    const fields = Object.entries(rest)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+
+    let line = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} ${message}`;
+    if (fields) line += ` ${fields}`;
+    if (error) {
+      // Stack traces only in debug mode to keep pretty output to one line
+      line += this.settings.level === 'debug' && error.stack
+        ? ` error=${error.stack}`
+        : ` error=${JSON.stringify(error.message ?? error)}`;
+    }
+    return line;
+  }
+
+  /**
+   * Copy fields with secret values masked and errors made serializable.
+   */
+  redact(value, depth = 0) {
+    if (value instanceof Error) {
+      return { message: value.message, name: value.name, code: value.code, stack: value.stack };
+    }
+    if (!value || typeof value !== 'object' || depth > 5) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      result[key] = this.settings.redactKeys.has(key.toLowerCase())
+        ? REDACTED
+        : this.redact(fieldValue, depth + 1);
+    }
+    return result;
+  }
+}
+
+/**
+ * Root logger shared by all modules
+ */
+export const logger = new Logger();
@@ -0,0 +1,217 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+import { resolveSecrets } from './secrets.js';
+import { DEFAULT_TIMEOUTS } from './timeouts.js';
+
+export const OAUTH_GRANT_TYPES = ['client_credentials', 'refresh_token'];
+
+/**
+ * Directory for cached tokens of servers without oauth.tokenCache
+ */
+export const DEFAULT_TOKEN_DIR = path.join(os.homedir(), '.websocket-mcp-proxy', 'tokens');
+
+/**
+ * Tokens are refreshed this long before they expire
+ */
+export const DEFAULT_REFRESH_SKEW_MS = 60000;
+
+/**
+ * Obtains OAuth 2.1 access tokens for a remote MCP server
+ * Tokens come from the client-credentials grant, or from the refresh-token
+ * grant for refresh tokens issued by an interactive login. They are cached
+ * on disk, so restarts reuse them, and requested again shortly before they
+ * expire. Refresh tokens the server rotates replace the configured one.
+ * Without oauth.tokenUrl, the token endpoint is discovered from the
+ * server's protected resource and authorization server metadata.
+ */
+export class OAuthClient {
+  constructor(serverConfig, { timeoutMs = DEFAULT_TIMEOUTS.connectMs, secretsFile } = {}) {
+    const { name, url, oauth } = serverConfig;
+    this.serverName = name;
+    this.serverUrl = url;
+    this.options = { ...oauth };
+    for (const key of ['clientSecret', 'refreshToken']) {
+      if (oauth[key]) this.options[key] = resolveSecrets(oauth[key], { secretsFile });
+    }
+    this.timeoutMs = timeoutMs;
+    this.grantType = oauth.grantType || (oauth.refreshToken ? 'refresh_token' : 'client_credentials');
+    this.refreshSkewMs = oauth.refreshSkewMs ?? DEFAULT_REFRESH_SKEW_MS;
+    this.cachePath = oauth.tokenCache
+      ? path.resolve(oauth.tokenCache)
+      : path.join(DEFAULT_TOKEN_DIR, `${encodeURIComponent(name)}.json`);
+    this.tokenUrl = oauth.tokenUrl || null;
+    this.token = null;
+    this.cacheLoaded = false;
+    this.requesting = null;
+    this.log = logger.child({ component: 'oauth', server: name });
+  }
+
+  /**
+   * Return an access token that is not about to expire, requesting a new
+   * one when needed. Concurrent callers share one token request.
+   */
+  async getAccessToken() {
+    if (!this.cacheLoaded) {
+      await this.loadCache();
+    }
+    if (this.isFresh()) {
+      return this.token.accessToken;
+    }
+
+    if (!this.requesting) {
+      this.requesting = this.requestToken().finally(() => {
+        this.requesting = null;
+      });
+    }
+    return (await this.requesting).accessToken;
+  }
+
+  /**
+   * Forget a token the server rejected, so the next call to getAccessToken
+   * requests a new one. Tokens that were already replaced are ignored.
+   */
+  invalidate(accessToken) {
+    if (this.token?.accessToken === accessToken) {
+      this.token.expiresAt = 0;
+    }
+  }
+
+  isFresh() {
+    if (!this.token?.accessToken) return false;
+    return this.token.expiresAt === null || this.token.expiresAt - this.refreshSkewMs > Date.now();
+  }
+
+  async requestToken() {
+    const tokenUrl = await this.getTokenUrl();
+    const refreshToken = this.token?.refreshToken || this.options.refreshToken;
+
+    const params = new URLSearchParams({ grant_type: this.grantType });
+    if (this.grantType === 'refresh_token') {
+      params.set('refresh_token', refreshToken);
+    }
+    if (this.options.scope) params.set('scope', this.options.scope);
+    if (this.options.resource) params.set('resource', this.options.resource);
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    if (this.options.clientSecret) {
+      const credentials = `${encodeURIComponent(this.options.clientId)}:${encodeURIComponent(this.options.clientSecret)}`;
+      headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', this.options.clientId);
+    }
+
+    this.log.debug('Requesting access token', { grantType: this.grantType, tokenUrl });
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers,
+      body: params,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.access_token) {
+      // A rotated refresh token from the cache may have been revoked since;
+      // the configured one could still be valid
+      if (body.error === 'invalid_grant' && this.options.refreshToken && refreshToken !== this.options.refreshToken) {
+        this.log.warn('Cached refresh token was rejected; using the configured one');
+        this.token = null;
+        return this.requestToken();
+      }
+
+      const reason = body.error
+        ? `${body.error}${body.error_description ? ` (${body.error_description})` : ''}`
+        : `HTTP ${response.status}`;
+      throw new Error(`OAuth token request for ${this.serverName} failed: ${reason}`);
+    }
+
+    this.token = {
+      accessToken: body.access_token,
+      expiresAt: body.expires_in ? Date.now() + body.expires_in * 1000 : null,
+      refreshToken: body.refresh_token || (this.grantType === 'refresh_token' ? refreshToken : null)
+    };
+    this.log.info('Obtained access token', { expiresIn: body.expires_in });
+    await this.saveCache();
+    return this.token;
+  }
+
+  async getTokenUrl() {
+    if (!this.tokenUrl) {
+      this.tokenUrl = await this.discoverTokenUrl();
+    }
+    return this.tokenUrl;
+  }
+
+  /**
+   * Find the token endpoint: the protected resource metadata of the server
+   * names its authorization server (the server's own origin when there is
+   * none), whose metadata names the endpoint.
+   */
+  async discoverTokenUrl() {
+    const resource = await this.fetchMetadata(new URL('/.well-known/oauth-protected-resource', this.serverUrl));
+    const issuer = new URL(resource?.authorization_servers?.[0] || new URL(this.serverUrl).origin);
+
+    const metadataUrl = new URL(issuer.origin);
+    metadataUrl.pathname = `/.well-known/oauth-authorization-server${issuer.pathname === '/' ? '' : issuer.pathname}`;
+    const metadata = await this.fetchMetadata(metadataUrl);
+
+    if (!metadata?.token_endpoint) {
+      throw new Error(`No OAuth token endpoint found for ${this.serverName}; set oauth.tokenUrl`);
+    }
+    this.log.debug('Discovered token endpoint', { tokenUrl: metadata.token_endpoint });
+    return metadata.token_endpoint;
+  }
+
+  async fetchMetadata(url) {
+    try {
+      const response = await fetch(url, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        await response.body?.cancel();
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      this.log.debug('Failed to fetch OAuth metadata', { url: url.href, error });
+      return null;
+    }
+  }
+
+  /**
+   * Read the cached token, unless it was issued for another server URL or
+   * client.
+   */
+  async loadCache() {
+    this.cacheLoaded = true;
+    try {
+      const cached = JSON.parse(await readFile(this.cachePath, 'utf8'));
+      if (cached.serverUrl === this.serverUrl && cached.clientId === this.options.clientId) {
+        const { accessToken, expiresAt, refreshToken } = cached;
+        this.token = { accessToken, expiresAt, refreshToken };
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.warn('Failed to read token cache', { path: this.cachePath, error });
+      }
+    }
+  }
+
+  async saveCache() {
+    try {
+      await mkdir(path.dirname(this.cachePath), { recursive: true, mode: 0o700 });
+      await writeFile(this.cachePath, JSON.stringify({
+        serverUrl: this.serverUrl,
+        clientId: this.options.clientId,
+        ...this.token
+      }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      this.log.warn('Failed to write token cache', { path: this.cachePath, error });
+    }
+  }
+}
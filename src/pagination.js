@@ -0,0 +1,65 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Upper bound on the pages fetched from one upstream list, in case a server
+ * keeps returning new cursors
+ */
+export const MAX_UPSTREAM_PAGES = 1000;
+
+/**
+ * Fetch every page of an upstream list. fetchPage(cursor) returns one list
+ * result; items are read from result[key] and nextCursor is followed until
+ * the server stops returning one.
+ */
+export async function collectPages(fetchPage, key) {
+  const items = [];
+  const seen = new Set();
+  let cursor;
+
+  for (let page = 0; page < MAX_UPSTREAM_PAGES; page++) {
+    const result = await fetchPage(cursor);
+    items.push(...(result[key] || []));
+
+    cursor = result.nextCursor;
+    if (cursor === undefined || cursor === null || seen.has(cursor)) {
+      return items;
+    }
+    seen.add(cursor);
+  }
+
+  throw new Error(`List did not end after ${MAX_UPSTREAM_PAGES} pages`);
+}
+
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+}
+
+/**
+ * Return one page of a merged list for a client. Cursors are opaque to
+ * clients and encode the offset of the next page; a pageSize of 0 returns
+ * the whole list at once.
+ */
+export function paginate(items, cursor, pageSize) {
+  const offset = cursor === undefined ? 0 : decodeCursor(cursor);
+  if (!pageSize) {
+    return { items: items.slice(offset) };
+  }
+
+  const end = offset + pageSize;
+  return {
+    items: items.slice(offset, end),
+    nextCursor: end < items.length ? encodeCursor(end) : undefined
+  };
+}
@@ -0,0 +1,216 @@
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+import { resolveSecrets } from './secrets.js';
+import { DEFAULT_TIMEOUTS } from './timeouts.js';
+
+/**
+ * Protocol version and client info the proxy uses in its handshake with
+ * remote servers
+ */
+export const PROTOCOL_VERSION = '2024-11-05';
+
+export const CLIENT_INFO = {
+  name: 'WebSocket-MCP-Proxy',
+  version: '1.0.0'
+};
+
+/**
+ * Backoff for reopening a lost connection (reconnect in a server's config)
+ */
+export const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Base class of the transports for remote servers (STREAMABLE_HTTP, SSE and
+ * WEBSOCKET). It builds the authentication headers and keeps the table of
+ * requests waiting for a response; subclasses implement connectTransport(),
+ * sendRequest(message, signal) and notify(message), and settle a pending
+ * request by passing its response to handleMessage().
+ *
+ * Events:
+ * - message (message): a notification or other message that is not the
+ *   response to a pending request
+ * - error, connect, disconnect
+ */
+export class RemoteTransport extends EventEmitter {
+  constructor(config, { connectTimeoutMs = DEFAULT_TIMEOUTS.connectMs, secretsFile } = {}) {
+    super();
+    this.config = config;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.secretsFile = secretsFile;
+    this.log = logger.child({ component: 'remote-transport', server: config.name, type: config.type });
+    this.url = config.url;
+    this.headers = this.buildHeaders();
+    this.connected = false;
+    this.lastError = null;
+    this.requestId = 0;
+    this.pendingRequests = new Map();
+    this.protocolVersion = null;
+    this.capabilities = null;
+    this.serverInfo = null;
+  }
+
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'WebSocket-MCP-Proxy/1.0.0'
+    };
+
+    // Add authentication headers
+    if (this.config.bearerToken) {
+      headers['Authorization'] = `Bearer ${this.resolve(this.config.bearerToken, 'bearerToken')}`;
+    }
+
+    if (this.config.apiKey) {
+      headers['X-API-Key'] = this.resolve(this.config.apiKey, 'apiKey');
+    }
+
+    if (this.config.headers) {
+      for (const [name, value] of Object.entries(this.config.headers)) {
+        // Replace defaults regardless of case
+        for (const key of Object.keys(headers)) {
+          if (key.toLowerCase() === name.toLowerCase()) delete headers[key];
+        }
+        headers[name] = this.resolve(value, `headers["${name}"]`);
+      }
+    } else if (this.config.env) {
+      // Deprecated: headers used to be taken from env entries
+      const legacy = Object.keys(this.config.env).filter(key => key.toLowerCase().includes('header') || key === 'Authorization');
+      for (const key of legacy) {
+        headers[key] = this.config.env[key];
+      }
+      if (legacy.length > 0) {
+        this.log.warn('Sending env entries as headers is deprecated; move them to headers', { headers: legacy });
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Replace the secret references in a config value. Plain ${NAME}
+   * references are still there when NAME was not set.
+   */
+  resolve(value, label) {
+    const unresolved = String(value).match(/\$\{(?!(?:env|file|secret):)[^}]+\}/);
+    if (unresolved) {
+      throw new Error(`${label} references ${unresolved[0]}, which is not set`);
+    }
+    return resolveSecrets(String(value), { secretsFile: this.secretsFile });
+  }
+
+  async connect() {
+    if (this.connected) return;
+
+    this.log.debug('Connecting', { url: this.url, headers: Object.keys(this.headers) });
+
+    try {
+      await this.connectTransport();
+
+      this.connected = true;
+      this.emit('connect');
+      this.log.info('Connected');
+    } catch (error) {
+      this.log.warn('Failed to connect', { error });
+      this.lastError = error.message;
+      // Mark as connected anyway - we'll handle errors per request
+      this.connected = true;
+      this.emit('connect');
+    }
+  }
+
+  /**
+   * Send a request and wait for its response. Aborting signal cancels the
+   * request on the server.
+   */
+  async send(message, { signal } = {}) {
+    if (!this.connected) {
+      throw new Error(`Transport not connected for ${this.config.name}`);
+    }
+    signal?.throwIfAborted();
+
+    const requestId = message.id || `req-${++this.requestId}`;
+    message.id = requestId;
+
+    this.log.debug('Sending request', { requestId, method: message.method });
+
+    const onAbort = () => this.cancel(requestId, signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await this.sendRequest(message, signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      this.log.error('Error sending message', { requestId, method: message.method, error });
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Tell the server to stop working on a request and drop its pending entry.
+   */
+  cancel(requestId, reason) {
+    this.log.debug('Cancelling request', { requestId });
+
+    const pending = this.pendingRequests.get(requestId);
+    if (pending) {
+      this.pendingRequests.delete(requestId);
+      pending.reject(new Error('Request cancelled'));
+    }
+
+    this.notify({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId, reason: String(reason ?? 'Request cancelled') }
+    }).catch((error) => {
+      this.log.warn('Failed to send cancellation', { requestId, error });
+    });
+  }
+
+  /**
+   * Reject every request still waiting for a response.
+   */
+  failPending(error) {
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  handleMessage(data) {
+    if (data.id && this.pendingRequests.has(data.id)) {
+      const { resolve } = this.pendingRequests.get(data.id);
+      this.pendingRequests.delete(data.id);
+      resolve(data);
+    } else {
+      // Handle notifications or other messages
+      this.emit('message', data);
+    }
+  }
+
+  async disconnect() {
+    if (!this.connected) return;
+
+    this.failPending(new Error('Transport disconnected'));
+
+    this.connected = false;
+    this.emit('disconnect');
+    this.log.info('Disconnected');
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Whether the handshake succeeded and requests can be sent
+   */
+  isReady() {
+    return this.connected && Boolean(this.protocolVersion);
+  }
+}
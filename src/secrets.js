@@ -0,0 +1,98 @@
+import { readFileSync } from 'fs';
+import { parse } from 'yaml';
+
+/**
+ * A reference to a secret inside a config value:
+ *
+ *   ${env:NAME}       the environment variable NAME
+ *   ${file:/path}     the contents of a file, e.g. a Docker or Kubernetes
+ *                     mounted secret (surrounding whitespace is trimmed)
+ *   ${secret:name}    the entry `name` of security.secretsFile
+ *
+ * Unlike plain ${NAME} expansion, a missing secret is an error.
+ */
+export const SECRET_REFERENCE = /\$\{(env|file|secret):([^}]*)\}/g;
+
+/**
+ * Config values of a remote server that may contain secret references,
+ * as [label, value] pairs
+ */
+export function getSecretFields(serverConfig) {
+  const fields = [];
+  for (const key of ['bearerToken', 'apiKey']) {
+    if (typeof serverConfig[key] === 'string') fields.push([key, serverConfig[key]]);
+  }
+  if (serverConfig.headers && typeof serverConfig.headers === 'object') {
+    for (const [name, value] of Object.entries(serverConfig.headers)) {
+      if (typeof value === 'string') fields.push([`headers["${name}"]`, value]);
+    }
+  }
+  for (const key of ['clientSecret', 'refreshToken']) {
+    if (typeof serverConfig.oauth?.[key] === 'string') fields.push([`oauth.${key}`, serverConfig.oauth[key]]);
+  }
+  return fields;
+}
+
+export function findSecretReferences(value) {
+  return Array.from(value.matchAll(SECRET_REFERENCE), ([reference, source, name]) => ({ reference, source, name }));
+}
+
+function readSecretsFile(secretsFile) {
+  if (!secretsFile) {
+    throw new Error('Secret references need security.secretsFile');
+  }
+
+  let secrets;
+  try {
+    secrets = parse(readFileSync(secretsFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read secrets file ${secretsFile}: ${error.code || error.message}`);
+  }
+  if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+    throw new Error(`Secrets file ${secretsFile} must map secret names to values`);
+  }
+  return secrets;
+}
+
+function readSecret(source, name) {
+  if (source === 'env') {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  }
+
+  try {
+    return readFileSync(name, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Cannot read secret file ${name}: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Replace the secret references in a value. Secrets are read on every call,
+ * so rotated files are picked up when a server is restarted. Errors name the
+ * reference, never the secret.
+ */
+export function resolveSecrets(value, { secretsFile } = {}) {
+  let secrets;
+
+  return value.replace(SECRET_REFERENCE, (reference, source, name) => {
+    let secret;
+    if (source === 'secret') {
+      secrets ??= readSecretsFile(secretsFile);
+      if (secrets[name] === undefined || secrets[name] === null || typeof secrets[name] === 'object') {
+        throw new Error(`Secret ${name} is not defined in ${secretsFile}`);
+      }
+      secret = String(secrets[name]);
+    } else {
+      secret = readSecret(source, name);
+    }
+
+    // Secrets end up in HTTP headers
+    if (/[\r\n\0]/.test(secret)) {
+      throw new Error(`Secret ${reference} contains a line break`);
+    }
+    return secret;
+  });
+}
@@ -3,25 +3,87 @@
 import 'dotenv/config';
 import { WebSocketServer } from 'ws';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { spawn } from 'child_process';
-import { readFileSync, existsSync } from 'fs';
+import {
+  CallToolRequestSchema,
+  EmptyResultSchema,
+  ErrorCode,
+  CallToolResultSchema,
+  GetPromptRequestSchema,
+  GetPromptResultSchema,
+  ListPromptsRequestSchema,
+  ListPromptsResultSchema,
+  ListResourcesRequestSchema,
+  ListResourcesResultSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourceTemplatesResultSchema,
+  ListToolsRequestSchema,
+  ListToolsResultSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  ReadResourceResultSchema,
+  SetLevelRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { readFileSync, existsSync, unwatchFile, watchFile } from 'fs';
 import { parse } from 'yaml';
 import { v4 as uuidv4 } from 'uuid';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AdminApi } from './admin-api.js';
+import { AccessControl, ACCESS_DENIED_ERROR_CODE, rejectUnauthorized } from './access-control.js';
+import { CircuitBreaker, CIRCUIT_OPEN_ERROR_CODE } from './circuit-breaker.js';
+import { diffServers } from './config-diff.js';
 import { ConfigValidator } from './config-validator.js';
+import { HealthMonitor } from './health-monitor.js';
 import { HttpTransport } from './http-transport.js';
+import { LegacySseEndpoint, MESSAGES_PATH } from './legacy-sse.js';
+import { DEFAULT_LISTING_OPTIONS, ListCache } from './list-cache.js';
+import { logger } from './logger.js';
+import { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './metrics.js';
+import { collectPages, paginate } from './pagination.js';
+import { SseTransport } from './sse-transport.js';
+import { StdioSupervisor } from './stdio-supervisor.js';
+import { StreamableHttpEndpoint } from './streamable-http.js';
+import { getRequestTimeout, resolveTimeouts, REQUEST_TIMEOUT_ERROR_CODE, withTimeout } from './timeouts.js';
+import { WebSocketUpstreamTransport } from './websocket-transport.js';
+
+/**
+ * Transports for the server types reached over the network
+ */
+const REMOTE_TRANSPORTS = {
+  SSE: SseTransport,
+  STREAMABLE_HTTP: HttpTransport,
+  WEBSOCKET: WebSocketUpstreamTransport
+};
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const log = logger.child({ component: 'proxy' });
+
+/**
+ * JSON-RPC errors caused by the request rather than the server, which do not
+ * count as failures for the server's circuit breaker
+ */
+const CALLER_ERROR_CODES = [ErrorCode.InvalidRequest, ErrorCode.MethodNotFound, ErrorCode.InvalidParams];
+
 class MCPProxyServer {
   constructor(configPath = 'config.yaml') {
     this.config = this.loadConfig(configPath);
     this.mcpServers = new Map();
+    this.supervisors = new Map();
+    this.httpServerStatus = new Map();
+    this.initialized = false;
+    this.accessControl = new AccessControl(this.config.security);
+    this.healthMonitor = new HealthMonitor(this, this.config.health);
     this.clientConnections = new Map();
+    this.progressHandlers = new Map();
+    this.progressTokenCounter = 0;
+    this.upstreamRequestCounter = 0;
+    this.toolCache = new ListCache({ ttlMs: this.getListingOptions().cacheTtlMs });
+    this.adminApi = new AdminApi(this);
+    this.streamableHttp = new StreamableHttpEndpoint(this);
+    this.legacySse = new LegacySseEndpoint(this);
     this.server = new Server(
       {
         name: 'websocket-mcp-proxy',
@@ -29,102 +91,396 @@ class MCPProxyServer {
       },
       {
         capabilities: {
-          tools: {},
-          resources: {},
+          tools: { listChanged: true },
+          resources: { listChanged: true },
+          prompts: { listChanged: true },
+          logging: {},
         },
       }
     );
     
     this.setupHandlers();
+    this.setupMetrics();
   }
 
-  loadConfig(configPath) {
+  /**
+   * Register the Prometheus metrics served on /metrics. Connection, server
+   * and transport gauges are read from live state at scrape time.
+   */
+  setupMetrics() {
+    this.metrics = new MetricsRegistry();
+    
+    this.metrics.gauge('mcp_proxy_websocket_connections', 'Number of active WebSocket client connections', {
+      collect: () => [{ labels: {}, value: this.clientConnections.size }]
+    });
+    
+    this.metrics.gauge('mcp_proxy_server_up', 'Whether an upstream MCP server is connected (1) or not (0)', {
+      collect: () => this.config.servers.map(({ name, type = 'STDIO' }) => ({
+        labels: { server: name, type },
+        value: this.isServerConnected(name) ? 1 : 0
+      }))
+    });
+    
+    this.metrics.counter('mcp_proxy_server_restarts_total', 'Number of times a STDIO server was restarted or a remote server reconnected', {
+      collect: () => [
+        ...Array.from(this.supervisors, ([name, supervisor]) => ({
+          labels: { server: name },
+          value: supervisor.restartCount
+        })),
+        ...Array.from(this.httpServerStatus, ([name, { restarts }]) => ({
+          labels: { server: name },
+          value: restarts
+        }))
+      ]
+    });
+    
+    this.metrics.gauge('mcp_proxy_http_pending_requests', 'Requests awaiting a response from an HTTP/SSE server', {
+      collect: () => Array.from(this.mcpServers)
+        .filter(([, { type }]) => type !== 'STDIO')
+        .map(([name, { transport }]) => ({
+          labels: { server: name },
+          value: transport.pendingRequests.size
+        }))
+    });
+    
+    this.metrics.gauge('mcp_proxy_circuit_open', 'Whether requests to an upstream MCP server fail fast (1) or not (0)', {
+      collect: () => Array.from(this.mcpServers)
+        .filter(([, { circuitBreaker }]) => circuitBreaker)
+        .map(([name, mcpServer]) => ({
+          labels: { server: name },
+          value: this.isCircuitOpen(mcpServer) ? 1 : 0
+        }))
+    });
+    
+    this.toolCallMetrics = {
+      calls: this.metrics.counter('mcp_proxy_tool_calls_total', 'Number of tool calls forwarded to upstream servers'),
+      errors: this.metrics.counter('mcp_proxy_tool_call_errors_total', 'Number of tool calls that failed'),
+      duration: this.metrics.histogram('mcp_proxy_tool_call_duration_seconds', 'Tool call latency in seconds')
+    };
+  }
+
+  /**
+   * Read, expand and validate a config file. Throws on any problem; a
+   * validation error carries the individual messages in error.errors.
+   */
+  readConfig(configPath) {
     const fullPath = path.resolve(configPath);
     if (!existsSync(fullPath)) {
-      console.error(`Config file not found: ${fullPath}`);
-      process.exit(1);
+      throw new Error(`Config file not found: ${fullPath}`);
+    }
+    
+    const configContent = readFileSync(fullPath, 'utf8');
+    let config = parse(configContent);
+    
+    // Expand environment variables
+    config = ConfigValidator.expandEnvironmentVariables(config);
+    
+    // Validate configuration
+    const validation = ConfigValidator.validate(config);
+    if (!validation.isValid) {
+      const error = new Error('Configuration validation failed');
+      error.errors = validation.errors;
+      throw error;
     }
     
+    return config;
+  }
+
+  loadConfig(configPath) {
+    this.configPath = path.resolve(configPath);
+    
     try {
-      const configContent = readFileSync(fullPath, 'utf8');
-      let config = parse(configContent);
-      
-      // Expand environment variables
-      config = ConfigValidator.expandEnvironmentVariables(config);
-      
-      // Validate configuration
-      const validation = ConfigValidator.validate(config);
-      if (!validation.isValid) {
-        console.error('Configuration validation failed:');
-        validation.errors.forEach(error => console.error(`  - ${error}`));
-        process.exit(1);
-      }
-      
+      const config = this.readConfig(configPath);
+      logger.configure(config.logging);
       return config;
     } catch (error) {
-      console.error(`Error loading config: ${error.message}`);
+      log.error(error.message, { path: this.configPath, errors: error.errors });
       process.exit(1);
     }
   }
 
+  /**
+   * Reload on config file changes (unless proxy.watchConfig is false) and
+   * on SIGHUP.
+   */
+  watchConfig() {
+    const reload = () => {
+      this.reloadConfig().catch((error) => {
+        log.error('Config reload failed', { path: this.configPath, error });
+      });
+    };
+    
+    process.on('SIGHUP', () => {
+      log.info('Received SIGHUP, reloading configuration');
+      reload();
+    });
+    
+    if (this.config.proxy?.watchConfig === false) return;
+    
+    // Polling follows renames and symlink swaps (editors, Kubernetes ConfigMaps)
+    watchFile(this.configPath, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      log.info('Config file changed, reloading configuration', { path: this.configPath });
+      reload();
+    });
+  }
+
+  /**
+   * Re-read the config file and apply it without dropping client
+   * connections. Only servers whose configuration changed are started,
+   * stopped or restarted. An invalid config is rejected and the running one
+   * is kept. Reloads are serialized; a failed one does not stop later ones.
+   */
+  reloadConfig() {
+    const previous = (this.reloading || Promise.resolve()).catch(() => {});
+    this.reloading = previous.then(async () => {
+      let next;
+      try {
+        next = this.readConfig(this.configPath);
+      } catch (error) {
+        log.error('Config reload rejected, keeping current configuration', {
+          path: this.configPath,
+          error: error.message,
+          errors: error.errors
+        });
+        return false;
+      }
+      
+      await this.applyConfig(next);
+      return true;
+    });
+    return this.reloading;
+  }
+
+  async applyConfig(next) {
+    const previous = this.config;
+    const { added, removed, changed, unchanged } = diffServers(previous.servers, next.servers);
+    
+    if (next.proxy?.port !== previous.proxy?.port || next.proxy?.host !== previous.proxy?.host) {
+      log.warn('proxy.port and proxy.host changes require a restart and were not applied');
+    }
+    
+    this.config = next;
+    logger.configure(next.logging);
+    this.accessControl = new AccessControl(next.security);
+    this.healthMonitor.configure(next.health);
+    this.toolCache.ttlMs = this.getListingOptions().cacheTtlMs;
+    
+    for (const serverConfig of [...removed, ...changed]) {
+      await this.stopServer(serverConfig.name);
+    }
+    
+    await Promise.all([...added, ...changed].map(serverConfig => this.startServer(serverConfig)));
+    
+    log.info('Configuration reloaded', {
+      added: added.map(server => server.name),
+      removed: removed.map(server => server.name),
+      changed: changed.map(server => server.name),
+      unchanged: unchanged.length
+    });
+    
+    if (added.length + removed.length + changed.length > 0) {
+      await this.notifyListChanged();
+    }
+  }
+
+  /**
+   * Start a configured server. Failures are logged and reported through the
+   * server's status rather than thrown; STDIO servers keep retrying according
+   * to their restart policy.
+   */
+  async startServer(serverConfig) {
+    try {
+      await this.startMCPServer(serverConfig);
+    } catch (error) {
+      log.warn('Failed to start server', { server: serverConfig.name, error });
+    }
+  }
+
+  isServerStarted(name) {
+    return this.supervisors.has(name) || this.mcpServers.has(name);
+  }
+
+  async restartServer(serverConfig) {
+    const supervisor = this.supervisors.get(serverConfig.name);
+    if (supervisor) {
+      try {
+        await supervisor.restart();
+      } catch (error) {
+        log.warn('Failed to restart server', { server: serverConfig.name, error });
+      }
+      return;
+    }
+    
+    await this.stopServer(serverConfig.name);
+    await this.startServer(serverConfig);
+  }
+
+  /**
+   * Add a server to the running configuration and start it.
+   */
+  async addServer(serverConfig) {
+    this.config.servers = [...this.config.servers, serverConfig];
+    await this.startServer(serverConfig);
+  }
+
+  /**
+   * Stop a server and remove it from the running configuration.
+   */
+  async removeServer(name) {
+    await this.stopServer(name);
+    this.config.servers = this.config.servers.filter(server => server.name !== name);
+  }
+
+  /**
+   * Stop an upstream server and forget it.
+   */
+  async stopServer(name) {
+    log.info('Stopping MCP server', { server: name });
+    
+    const supervisor = this.supervisors.get(name);
+    if (supervisor) {
+      this.supervisors.delete(name);
+      await supervisor.stop();
+    }
+    
+    const mcpServer = this.mcpServers.get(name);
+    if (mcpServer && mcpServer.type !== 'STDIO') {
+      await mcpServer.transport.disconnect();
+    }
+    
+    this.mcpServers.delete(name);
+    this.httpServerStatus.delete(name);
+    this.toolCache.invalidate(name);
+    this.healthMonitor.reset(name);
+  }
+
+  /**
+   * Close a client connection. Returns false for unknown connection ids.
+   */
+  disconnectClient(connectionId) {
+    const connection = this.clientConnections.get(connectionId);
+    if (!connection) return false;
+    
+    log.info('Disconnecting client', { connectionId, client: connection.client?.name });
+    connection.close('Disconnected by administrator');
+    return true;
+  }
+
+  /**
+   * Send a notification to every connected client, or to the connections
+   * matching filter.
+   */
+  async broadcastNotification(notification, filter = () => true) {
+    await Promise.allSettled(
+      Array.from(this.clientConnections.values())
+        .filter(filter)
+        .map(({ server }) => server.notification(notification))
+    );
+  }
+
+  /**
+   * Tell all clients that the aggregated tool, resource and prompt lists changed.
+   */
+  async notifyListChanged() {
+    await this.broadcastNotification({ method: 'notifications/tools/list_changed' });
+    await this.broadcastNotification({ method: 'notifications/resources/list_changed' });
+    await this.broadcastNotification({ method: 'notifications/prompts/list_changed' });
+  }
+
   async startMCPServer(serverConfig) {
     const { name, type = 'STDIO' } = serverConfig;
     
-    console.log(`Starting MCP server: ${name} (${type})`);
+    log.info('Starting MCP server', { server: name, type });
     
     try {
       if (type === 'STDIO') {
         return await this.startStdioServer(serverConfig);
-      } else if (type === 'SSE' || type === 'STREAMABLE_HTTP') {
+      } else if (REMOTE_TRANSPORTS[type]) {
         return await this.startHttpServer(serverConfig);
       } else {
         throw new Error(`Unsupported server type: ${type}`);
       }
     } catch (error) {
-      console.error(`Failed to start MCP server ${name}:`, error);
+      log.error('Failed to start MCP server', { server: name, error });
       throw error;
     }
   }
 
   async startStdioServer(serverConfig) {
-    const { name, command, args = [], env = {} } = serverConfig;
+    const { name } = serverConfig;
     
-    const childProcess = spawn(command, args, {
-      env: { ...process.env, ...env },
-      stdio: ['pipe', 'pipe', 'pipe']
+    const supervisor = new StdioSupervisor(serverConfig, {
+      connectTimeoutMs: this.getServerTimeouts(serverConfig).connectMs
     });
+    this.supervisors.set(name, supervisor);
 
-    const transport = new StdioServerTransport();
-    const server = new Server(
-      { name: `proxy-${name}`, version: '1.0.0' },
-      { capabilities: { tools: {}, resources: {} } }
-    );
-
-    // Connect to the spawned process
-    await transport.start(childProcess.stdout, childProcess.stdin);
-    await server.connect(transport);
-
-    this.mcpServers.set(name, {
-      server,
-      transport,
-      process: childProcess,
-      config: serverConfig,
-      type: 'STDIO'
+    // Every (re)started session registers itself once its handshake is done,
+    // so tools come back automatically after a restart, and clients are told
+    // to list them again
+    supervisor.on('ready', ({ client, transport, protocolVersion, capabilities, serverInfo }) => {
+      this.healthMonitor.reset(name);
+      this.toolCache.invalidate(name);
+      this.mcpServers.set(name, {
+        server: client,
+        transport,
+        supervisor,
+        config: serverConfig,
+        type: 'STDIO',
+        protocolVersion,
+        capabilities,
+        serverInfo,
+        circuitBreaker: this.createCircuitBreaker(serverConfig)
+      });
+      log.info('MCP server initialized', {
+        server: name,
+        protocolVersion,
+        capabilities: Object.keys(capabilities)
+      });
+      if (supervisor.restartCount > 0) {
+        this.notifyListChanged().catch((error) => log.warn('Error notifying clients', { server: name, error }));
+      }
     });
 
-    childProcess.on('exit', (code) => {
-      console.log(`MCP server ${name} exited with code ${code}`);
+    supervisor.on('exit', () => {
       this.mcpServers.delete(name);
     });
 
-    return server;
+    supervisor.on('notification', (notification) => {
+      this.handleUpstreamNotification(name, notification);
+    });
+
+    const { client } = await supervisor.start();
+    return client;
+  }
+
+  /**
+   * Path of security.secretsFile, relative to the config file
+   */
+  getSecretsFile() {
+    const secretsFile = this.config.security?.secretsFile;
+    return secretsFile ? path.resolve(path.dirname(this.configPath), secretsFile) : undefined;
+  }
+
+  /**
+   * Whether a server has a live session: a running STDIO process, or a
+   * remote server whose handshake succeeded and whose connection is up.
+   */
+  isServerConnected(name) {
+    const mcpServer = this.mcpServers.get(name);
+    if (!mcpServer) return false;
+    return mcpServer.type === 'STDIO' || mcpServer.transport.isReady();
   }
 
   async startHttpServer(serverConfig) {
     const { name } = serverConfig;
     
     try {
-      const transport = new HttpTransport(serverConfig);
+      const Transport = REMOTE_TRANSPORTS[serverConfig.type];
+      const transport = new Transport(serverConfig, {
+        connectTimeoutMs: this.getServerTimeouts(serverConfig).connectMs,
+        secretsFile: this.getSecretsFile()
+      });
       await transport.connect();
 
       // Create a proxy server that handles HTTP/SSE communication
@@ -133,35 +489,91 @@ class MCPProxyServer {
         type: serverConfig.type,
         transport,
         
-        async request(request) {
+        async request(request, options) {
           try {
-            return await transport.send(request);
+            return await transport.send(request, options);
           } catch (error) {
-            console.error(`Request failed for ${name}:`, error.message);
+            if (options?.signal?.aborted) throw error;
+            log.error('Request failed', { server: name, requestId: request.id, method: request.method, error });
             throw new Error(`Server ${name} is unavailable: ${error.message}`);
           }
         }
       };
 
+      // SSE servers report their capabilities in the handshake
       this.mcpServers.set(name, {
         server,
         transport,
         config: serverConfig,
-        type: serverConfig.type
+        type: serverConfig.type,
+        protocolVersion: transport.protocolVersion,
+        capabilities: transport.capabilities,
+        serverInfo: transport.serverInfo,
+        circuitBreaker: this.createCircuitBreaker(serverConfig)
+      });
+      this.healthMonitor.reset(name);
+      this.toolCache.invalidate(name);
+      // A failed handshake is retried by the next request
+      this.httpServerStatus.set(name, {
+        state: transport.isReady() ? 'running' : 'unavailable',
+        startedAt: transport.isReady() ? Date.now() : null,
+        lastError: transport.lastError,
+        restarts: 0
       });
 
+      // Events of a transport that was stopped or replaced are ignored
+      const isCurrent = () => this.mcpServers.get(name)?.transport === transport;
+
       transport.on('error', (error) => {
-        console.warn(`HTTP transport error for ${name}:`, error.message);
+        log.warn('HTTP transport error', { server: name, error });
+        if (!isCurrent()) return;
+        this.httpServerStatus.get(name).lastError = error.message;
+      });
+
+      transport.on('message', (message) => {
+        if (!isCurrent()) return;
+        if (message.method && message.id === undefined) {
+          this.handleUpstreamNotification(name, message);
+        }
+      });
+
+      transport.on('session', () => {
+        if (!isCurrent()) return;
+        const mcpServer = this.mcpServers.get(name);
+
+        log.info('MCP server initialized', { server: name, protocolVersion: transport.protocolVersion });
+        Object.assign(mcpServer, {
+          protocolVersion: transport.protocolVersion,
+          capabilities: transport.capabilities,
+          serverInfo: transport.serverInfo
+        });
+        Object.assign(this.httpServerStatus.get(name), { state: 'running', startedAt: Date.now(), lastError: null });
+        this.toolCache.invalidate(name);
+        this.notifyListChanged().catch((error) => log.warn('Error notifying clients', { server: name, error }));
+      });
+
+      transport.on('reconnecting', () => {
+        if (!isCurrent()) return;
+        const status = this.httpServerStatus.get(name);
+        Object.assign(status, { state: 'reconnecting', lastError: transport.lastError, restarts: status.restarts + 1 });
       });
 
       transport.on('disconnect', () => {
-        console.log(`HTTP server ${name} disconnected`);
+        log.info('HTTP server disconnected', { server: name });
+        if (!isCurrent()) return;
         this.mcpServers.delete(name);
+        this.httpServerStatus.get(name).state = 'disconnected';
       });
 
       return server;
     } catch (error) {
-      console.warn(`Failed to start HTTP server ${name}, skipping:`, error.message);
+      log.warn('Failed to start HTTP server, skipping', { server: name, error });
+      this.httpServerStatus.set(name, {
+        state: 'unavailable',
+        startedAt: null,
+        lastError: error.message,
+        restarts: 0
+      });
       // Return a dummy server that reports unavailability
       return {
         name: `proxy-${name}`,
@@ -178,111 +590,603 @@ class MCPProxyServer {
       try {
         return await this.startMCPServer(serverConfig);
       } catch (error) {
-        console.warn(`Failed to initialize server ${serverConfig.name}:`, error.message);
+        log.warn('Failed to initialize server', { server: serverConfig.name, error });
         return null;
       }
     });
     
     const results = await Promise.allSettled(promises);
     const successful = results.filter(r => r.status === 'fulfilled' && r.value !== null).length;
+    this.initialized = true;
+    
+    log.info(`Initialized ${successful}/${this.config.servers.length} MCP servers`, {
+      activeServers: Array.from(this.mcpServers.keys())
+    });
+  }
+
+  /**
+   * Send a request to an upstream MCP server and return the result payload.
+   * onprogress receives { progress, total } for each progress notification
+   * the server sends about the request, and onRequestId the id it is sent
+   * upstream with. Requests that exceed their timeout
+   * (see getServerTimeouts) are cancelled upstream and fail with
+   * REQUEST_TIMEOUT_ERROR_CODE.
+   */
+  async requestServer(mcpServer, method, params, resultSchema, { onprogress, signal, timeoutMs, onRequestId } = {}) {
+    const serverName = mcpServer.config.name;
+    const timeout = timeoutMs ?? getRequestTimeout(this.getServerTimeouts(mcpServer.config), method, params?.name);
+    
+    const breaker = mcpServer.circuitBreaker;
+    if (breaker && !breaker.allowRequest()) {
+      const { failures, lastError, retryAt } = breaker.getStatus();
+      throw new McpError(
+        CIRCUIT_OPEN_ERROR_CODE,
+        `Server ${serverName} is unavailable: circuit open after ${failures} consecutive failures ` +
+          `(last error: ${lastError}), retrying after ${retryAt}`,
+        { server: serverName, circuit: breaker.getStatus() }
+      );
+    }
+    
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onCancel, { once: true });
+    
+    const startedAt = Date.now();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+    
+    // Upstream progress notifications are matched to onprogress by token
+    const progressToken = onprogress && `progress-${++this.progressTokenCounter}`;
+    if (progressToken) {
+      this.progressHandlers.set(`${serverName}:${progressToken}`, onprogress);
+      params = { ...params, _meta: { ...params?._meta, progressToken } };
+    }
+    
+    try {
+      const result = await this.sendServerRequest(mcpServer, method, params, resultSchema, { signal: controller.signal, onRequestId });
+      breaker?.recordSuccess();
+      return result;
+    } catch (error) {
+      if (!timedOut) {
+        if (signal?.aborted || CALLER_ERROR_CODES.includes(error.code)) {
+          // Says nothing about the server's health
+          breaker?.release();
+        } else {
+          breaker?.recordFailure(error);
+        }
+        throw error;
+      }
+      
+      const elapsedMs = Date.now() - startedAt;
+      log.warn('Upstream request timed out', { server: serverName, method, timeoutMs: timeout, elapsedMs });
+      breaker?.recordFailure(new Error(`Timed out after ${elapsedMs}ms`));
+      throw new McpError(
+        REQUEST_TIMEOUT_ERROR_CODE,
+        `Server ${serverName} did not answer ${method} within ${elapsedMs}ms (timeout ${timeout}ms)`,
+        { server: serverName, method, timeoutMs: timeout, elapsedMs }
+      );
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCancel);
+      if (progressToken) {
+        this.progressHandlers.delete(`${serverName}:${progressToken}`);
+      }
+    }
+  }
+
+  /**
+   * Circuit breaker for a server session, configured by proxy.circuitBreaker
+   * overridden by the server's own circuitBreaker settings.
+   */
+  createCircuitBreaker(serverConfig) {
+    const breaker = new CircuitBreaker({
+      ...(this.config.proxy?.circuitBreaker || {}),
+      ...(serverConfig.circuitBreaker || {})
+    });
+    
+    breaker.on('state', (state, previous) => {
+      const fields = { server: serverConfig.name, state, previous, lastError: breaker.lastError };
+      if (state === 'open') {
+        log.warn('Circuit opened, failing requests fast', { ...fields, retryAt: breaker.getStatus().retryAt });
+      } else {
+        log.info('Circuit state changed', fields);
+      }
+    });
+    
+    return breaker;
+  }
+
+  /**
+   * Whether a server's circuit is open, in which case it is left out of
+   * aggregated lists instead of being waited on.
+   */
+  isCircuitOpen(mcpServer) {
+    return Boolean(mcpServer.circuitBreaker?.isOpen());
+  }
+
+  /**
+   * Timeouts for a server: built-in defaults, overridden by proxy.timeouts,
+   * overridden by the server's own timeouts.
+   */
+  getServerTimeouts(serverConfig) {
+    return resolveTimeouts(this.config.proxy?.timeouts, serverConfig.timeouts);
+  }
+
+  /**
+   * STDIO servers go through the SDK request/response cycle, HTTP/SSE servers
+   * through their transport, whose raw JSON-RPC response is unwrapped here.
+   * Aborting signal sends notifications/cancelled for the upstream request.
+   * onRequestId receives the id the request is sent upstream with.
+   */
+  async sendServerRequest(mcpServer, method, params, resultSchema, { signal, onRequestId } = {}) {
+    if (mcpServer.type === 'STDIO') {
+      return await mcpServer.server.request({ method, params }, resultSchema, { signal, onRequestId });
+    }
+
+    const id = `${method}-${++this.upstreamRequestCounter}`;
+    onRequestId?.(id);
+    const response = await mcpServer.server.request({
+      jsonrpc: '2.0',
+      method,
+      id,
+      params: params || {}
+    }, { signal });
+
+    if (response.error) {
+      throw new McpError(
+        response.error.code,
+        `Server ${mcpServer.config.name} returned an error: ${response.error.message}`,
+        response.error.data
+      );
+    }
+
+    return response.result || response;
+  }
+
+  /**
+   * Run a request forwarded on behalf of a client, recording it in the
+   * connection's inflightRequests table under the client's request id.
+   * run receives a signal that aborts when the client sends
+   * notifications/cancelled for the request or disconnects, which cancels
+   * the upstream request, and a callback that records the upstream request
+   * id in the entry.
+   */
+  async trackRequest(context, request, extra, serverName, run) {
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(extra.signal.reason);
+    extra.signal.addEventListener('abort', onCancel, { once: true });
+    
+    const key = request.id ?? Symbol(request.method);
+    const entry = { server: serverName, method: request.method, upstreamId: null, controller };
+    context.inflightRequests?.set(key, entry);
+    
+    try {
+      return await run(controller.signal, (upstreamId) => { entry.upstreamId = upstreamId; });
+    } finally {
+      extra.signal.removeEventListener('abort', onCancel);
+      context.inflightRequests?.delete(key);
+    }
+  }
+
+  /**
+   * Route a notification from an upstream server to the connected clients.
+   * Progress goes to the connection that made the request; list changes and
+   * log messages go to every connection that can see the server, with names
+   * prefixed like everything else the server exposes.
+   */
+  async handleUpstreamNotification(serverName, notification) {
+    const { method, params = {} } = notification;
+    log.debug('Upstream notification', { server: serverName, method });
+    
+    try {
+      switch (method) {
+        case 'notifications/progress': {
+          const handler = this.progressHandlers.get(`${serverName}:${params.progressToken}`);
+          handler?.({ progress: params.progress, total: params.total });
+          break;
+        }
+        case 'notifications/tools/list_changed':
+          await this.handleToolListChanged(serverName);
+          break;
+        case 'notifications/resources/list_changed':
+        case 'notifications/prompts/list_changed':
+          await this.broadcastNotification({ method }, connection => this.canSeeServer(connection, serverName));
+          break;
+        case 'notifications/resources/updated':
+          await this.broadcastNotification({
+            method,
+            params: { ...params, uri: `${serverName}:${params.uri}` }
+          }, connection => this.canSeeServer(connection, serverName));
+          break;
+        case 'notifications/message':
+          await this.broadcastNotification({
+            method,
+            params: { ...params, logger: params.logger ? `${serverName}:${params.logger}` : serverName }
+          }, connection => this.canSeeServer(connection, serverName));
+          break;
+        default:
+          log.debug('Ignoring upstream notification', { server: serverName, method });
+      }
+    } catch (error) {
+      log.warn('Error forwarding upstream notification', { server: serverName, method, error });
+    }
+  }
+
+  /**
+   * Re-list an upstream's tools after it reported a change and notify the
+   * connections that could see any of its tools before or after the change.
+   */
+  async handleToolListChanged(serverName) {
+    const previous = this.toolCache.peek(serverName) || [];
+    this.toolCache.invalidate(serverName);
+    const mcpServer = this.mcpServers.get(serverName);
     
-    console.log(`Initialized ${successful}/${this.config.servers.length} MCP servers`);
-    console.log(`Active servers: ${Array.from(this.mcpServers.keys()).join(', ')}`);
+    let current = [];
+    if (mcpServer) {
+      current = await this.listServerTools(serverName, mcpServer);
+    }
+    
+    const affected = [...previous, ...current].map(tool => `${serverName}:${tool.name}`);
+    await this.broadcastNotification(
+      { method: 'notifications/tools/list_changed' },
+      connection => affected.length === 0 || affected.some(toolName => this.isToolAllowed(connection, toolName))
+    );
+  }
+
+  /**
+   * Settings for aggregated list requests: DEFAULT_LISTING_OPTIONS
+   * overridden by proxy.listing.
+   */
+  getListingOptions() {
+    return { ...DEFAULT_LISTING_OPTIONS, ...(this.config.proxy?.listing || {}) };
+  }
+
+  /**
+   * An upstream server's tools, from the cache or fetched from the server.
+   * Concurrent callers share one upstream request.
+   */
+  listServerTools(serverName, mcpServer) {
+    return this.toolCache.load(serverName, async () => {
+      const tools = await this.listAllPages(mcpServer, 'tools/list', ListToolsResultSchema, 'tools');
+      this.healthMonitor.recordToolCount(serverName, tools.length);
+      return tools;
+    });
+  }
+
+  /**
+   * Fetch a complete list from an upstream server, following nextCursor
+   * through all of its pages.
+   */
+  listAllPages(mcpServer, method, resultSchema, key) {
+    return collectPages(
+      cursor => this.requestServer(mcpServer, method, cursor === undefined ? {} : { cursor }, resultSchema),
+      key
+    );
+  }
+
+  /**
+   * Build the response to a client's list request: the page of the merged
+   * list at cursor, the cursor of the next page and any warnings.
+   */
+  listResult(key, items, cursor, warnings = []) {
+    const { items: page, nextCursor } = paginate(items, cursor, this.getListingOptions().pageSize);
+    const result = { [key]: page };
+    if (nextCursor) {
+      result.nextCursor = nextCursor;
+    }
+    if (warnings.length > 0) {
+      result._meta = { warnings };
+    }
+    return result;
+  }
+
+  /**
+   * Whether a connection may see any tool of a server. Servers whose tools
+   * have not been listed yet are visible to everyone.
+   */
+  canSeeServer(context, serverName) {
+    const tools = this.toolCache.peek(serverName);
+    if (!context.client || !tools || tools.length === 0) return true;
+    return tools.some(tool => this.isToolAllowed(context, `${serverName}:${tool.name}`));
+  }
+
+  /**
+   * Split a namespaced identifier (serverName:rest) into its server name and
+   * the upstream identifier. Only the first colon separates the two, so the
+   * upstream part may itself contain colons (e.g. resource URIs).
+   */
+  parseNamespacedName(value) {
+    const separator = value.indexOf(':');
+    if (separator === -1) {
+      return { serverName: null, name: null };
+    }
+    return {
+      serverName: value.slice(0, separator),
+      name: value.slice(separator + 1)
+    };
+  }
+
+  /**
+   * Resolve a namespaced identifier to its upstream MCP server.
+   */
+  resolveServer(value, kind) {
+    const { serverName, name } = this.parseNamespacedName(value);
+
+    if (!serverName || !name) {
+      throw new Error(`Invalid ${kind} format: ${value}. Expected format: serverName:${kind}`);
+    }
+
+    const mcpServer = this.mcpServers.get(serverName);
+    if (!mcpServer) {
+      throw new Error(`MCP server not found: ${serverName}`);
+    }
+
+    return { serverName, name, mcpServer };
   }
 
-  setupHandlers() {
-    // List all tools from all MCP servers
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const allTools = [];
+  /**
+   * Whether an upstream server advertised a capability during its handshake.
+   * Servers without negotiated capabilities (HTTP/SSE) are always queried.
+   */
+  supportsCapability(mcpServer, capability) {
+    if (!mcpServer.capabilities) return true;
+    return Boolean(mcpServer.capabilities[capability]);
+  }
+
+  /**
+   * Whether the client behind a connection may see and call a tool.
+   * Connections without an authenticated client are unrestricted.
+   */
+  isToolAllowed(context, toolName) {
+    if (!context.client) return true;
+    return context.client.policy.isAllowed(toolName);
+  }
+
+  /**
+   * Register the MCP request handlers on a server instance. context carries
+   * per-connection state such as the authenticated client.
+   */
+  setupHandlers(server = this.server, context = {}) {
+    const handlerLog = context.log || log;
+    
+    // List all tools from all MCP servers. Servers are queried concurrently;
+    // those that do not answer within the deadline are left out and reported
+    // in _meta.warnings
+    server.setRequestHandler(ListToolsRequestSchema, async (request) => {
+      const { deadlineMs } = this.getListingOptions();
+      const warnings = [];
+      
+      const servers = Array.from(this.mcpServers)
+        .filter(([, mcpServer]) => this.supportsCapability(mcpServer, 'tools'));
       
-      for (const [serverName, { server, type }] of this.mcpServers) {
+      const results = await Promise.all(servers.map(async ([serverName, mcpServer]) => {
+        if (this.isCircuitOpen(mcpServer)) {
+          warnings.push(`Tools of server ${serverName} are not listed: circuit open`);
+          return [];
+        }
+        
         try {
-          let response;
-          
-          if (type === 'STDIO') {
-            response = await server.request(
-              { method: 'tools/list' },
-              ListToolsRequestSchema
-            );
-          } else {
-            // HTTP/SSE servers
-            response = await server.request({
-              jsonrpc: '2.0',
-              method: 'tools/list',
-              id: `list-${Date.now()}`,
-              params: {}
-            });
-          }
-          
-          // Handle different response formats
-          const tools = response.tools || response.result?.tools || [];
+          // A late answer still fills the cache for the next request
+          const tools = await withTimeout(
+            this.listServerTools(serverName, mcpServer),
+            deadlineMs,
+            `No answer within ${deadlineMs}ms`
+          );
           
           // Prefix tool names with server name to avoid conflicts
-          const prefixedTools = tools.map(tool => ({
-            ...tool,
-            name: `${serverName}:${tool.name}`,
-            description: `[${serverName}] ${tool.description || ''}`
-          }));
-          
-          allTools.push(...prefixedTools);
+          return tools
+            .map(tool => ({
+              ...tool,
+              name: `${serverName}:${tool.name}`,
+              description: `[${serverName}] ${tool.description || ''}`
+            }))
+            .filter(tool => this.isToolAllowed(context, tool.name));
         } catch (error) {
-          console.error(`Error listing tools from ${serverName}:`, error);
+          handlerLog.warn('Error listing tools', { server: serverName, error });
+          warnings.push(`Tools of server ${serverName} are not listed: ${error.message}`);
+          return [];
         }
-      }
+      }));
       
-      return { tools: allTools };
+      return this.listResult('tools', results.flat(), request.params?.cursor, warnings);
     });
 
     // Route tool calls to appropriate MCP server
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    // Request schemas pass through the JSON-RPC id so forwarded requests can
+    // be tracked for cancellation
+    server.setRequestHandler(CallToolRequestSchema.passthrough(), async (request, extra) => {
       const { name: toolName, arguments: toolArgs } = request.params;
       
+      if (!this.isToolAllowed(context, toolName)) {
+        handlerLog.warn('Tool call denied by client policy', { tool: toolName });
+        throw new McpError(ACCESS_DENIED_ERROR_CODE, `Access denied to tool: ${toolName}`);
+      }
+      
       // Parse server name from tool name (format: serverName:toolName)
-      const [serverName, actualToolName] = toolName.split(':', 2);
+      const { serverName, name: actualToolName, mcpServer } = this.resolveServer(toolName, 'toolName');
       
-      if (!serverName || !actualToolName) {
-        throw new Error(`Invalid tool name format: ${toolName}. Expected format: serverName:toolName`);
-      }
+      handlerLog.debug('Calling tool', { server: serverName, tool: actualToolName });
+      
+      const metricLabels = { server: serverName, tool: actualToolName };
+      this.toolCallMetrics.calls.inc(metricLabels);
+      
+      // Relay upstream progress under the token this client asked for
+      const progressToken = request.params._meta?.progressToken;
+      const onprogress = progressToken === undefined ? undefined : ({ progress, total }) => {
+        server.notification({
+          method: 'notifications/progress',
+          params: { progressToken, progress, total }
+        }).catch((error) => handlerLog.warn('Error sending progress', { error }));
+      };
+      
+      return await this.trackRequest(context, request, extra, serverName, async (signal, onRequestId) => {
+        try {
+          return await this.toolCallMetrics.duration.time(metricLabels, () =>
+            this.requestServer(mcpServer, 'tools/call', {
+              name: actualToolName,
+              arguments: toolArgs
+            }, CallToolResultSchema, { onprogress, signal, onRequestId })
+          );
+        } catch (error) {
+          if (signal.aborted) {
+            handlerLog.info('Tool call cancelled', { server: serverName, tool: actualToolName, reason: String(signal.reason) });
+            throw error;
+          }
+          this.toolCallMetrics.errors.inc(metricLabels);
+          handlerLog.error('Error calling tool', { server: serverName, tool: actualToolName, error });
+          throw error;
+        }
+      });
+    });
+
+    // List all resources from all MCP servers
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const allResources = [];
       
-      const mcpServer = this.mcpServers.get(serverName);
-      if (!mcpServer) {
-        throw new Error(`MCP server not found: ${serverName}`);
+      for (const [serverName, mcpServer] of this.mcpServers) {
+        if (!this.supportsCapability(mcpServer, 'resources') || this.isCircuitOpen(mcpServer)) continue;
+        
+        try {
+          const resources = await this.listAllPages(mcpServer, 'resources/list', ListResourcesResultSchema, 'resources');
+          
+          // Prefix resource URIs with server name so reads can be routed back
+          const prefixedResources = resources.map(resource => ({
+            ...resource,
+            uri: `${serverName}:${resource.uri}`,
+            description: `[${serverName}] ${resource.description || ''}`
+          }));
+          
+          allResources.push(...prefixedResources);
+        } catch (error) {
+          handlerLog.error('Error listing resources', { server: serverName, error });
+        }
       }
       
-      try {
-        let response;
+      return this.listResult('resources', allResources, request.params?.cursor);
+    });
+
+    // List all resource templates from all MCP servers
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request) => {
+      const allTemplates = [];
+      
+      for (const [serverName, mcpServer] of this.mcpServers) {
+        if (!this.supportsCapability(mcpServer, 'resources') || this.isCircuitOpen(mcpServer)) continue;
         
-        if (mcpServer.type === 'STDIO') {
-          response = await mcpServer.server.request(
-            {
-              method: 'tools/call',
-              params: {
-                name: actualToolName,
-                arguments: toolArgs
-              }
-            },
-            CallToolRequestSchema
+        try {
+          const templates = await this.listAllPages(
+            mcpServer,
+            'resources/templates/list',
+            ListResourceTemplatesResultSchema,
+            'resourceTemplates'
           );
-        } else {
-          // HTTP/SSE servers
-          response = await mcpServer.server.request({
-            jsonrpc: '2.0',
-            method: 'tools/call',
-            id: `call-${Date.now()}`,
-            params: {
-              name: actualToolName,
-              arguments: toolArgs
-            }
-          });
+          
+          const prefixedTemplates = templates.map(template => ({
+            ...template,
+            uriTemplate: `${serverName}:${template.uriTemplate}`,
+            description: `[${serverName}] ${template.description || ''}`
+          }));
+          
+          allTemplates.push(...prefixedTemplates);
+        } catch (error) {
+          handlerLog.error('Error listing resource templates', { server: serverName, error });
         }
+      }
+      
+      return this.listResult('resourceTemplates', allTemplates, request.params?.cursor);
+    });
+
+    // Route resource reads to appropriate MCP server
+    server.setRequestHandler(ReadResourceRequestSchema.passthrough(), async (request, extra) => {
+      const { uri } = request.params;
+      
+      // Parse server name from URI (format: serverName:uri)
+      const { serverName, name: actualUri, mcpServer } = this.resolveServer(uri, 'uri');
+      
+      try {
+        const response = await this.trackRequest(context, request, extra, serverName, (signal, onRequestId) =>
+          this.requestServer(mcpServer, 'resources/read', { uri: actualUri }, ReadResourceResultSchema, { signal, onRequestId })
+        );
+        
+        // Keep returned URIs in the proxy's namespace
+        return {
+          ...response,
+          contents: (response.contents || []).map(content => ({
+            ...content,
+            uri: `${serverName}:${content.uri}`
+          }))
+        };
+      } catch (error) {
+        handlerLog.error('Error reading resource', { server: serverName, uri: actualUri, error });
+        throw error;
+      }
+    });
+
+    // List all prompts from all MCP servers
+    server.setRequestHandler(ListPromptsRequestSchema, async (request) => {
+      const allPrompts = [];
+      
+      for (const [serverName, mcpServer] of this.mcpServers) {
+        if (!this.supportsCapability(mcpServer, 'prompts') || this.isCircuitOpen(mcpServer)) continue;
         
-        // Normalize response format
-        return response.result ? response : { content: response };
+        try {
+          const prompts = await this.listAllPages(mcpServer, 'prompts/list', ListPromptsResultSchema, 'prompts');
+          
+          // Prefix prompt names with server name to avoid conflicts
+          const prefixedPrompts = prompts.map(prompt => ({
+            ...prompt,
+            name: `${serverName}:${prompt.name}`,
+            description: `[${serverName}] ${prompt.description || ''}`
+          }));
+          
+          allPrompts.push(...prefixedPrompts);
+        } catch (error) {
+          handlerLog.error('Error listing prompts', { server: serverName, error });
+        }
+      }
+      
+      return this.listResult('prompts', allPrompts, request.params?.cursor);
+    });
+
+    // Route prompt requests to appropriate MCP server
+    server.setRequestHandler(GetPromptRequestSchema.passthrough(), async (request, extra) => {
+      const { name: promptName, arguments: promptArgs } = request.params;
+      
+      // Parse server name from prompt name (format: serverName:promptName)
+      const { serverName, name: actualPromptName, mcpServer } = this.resolveServer(promptName, 'promptName');
+      
+      try {
+        return await this.trackRequest(context, request, extra, serverName, (signal, onRequestId) =>
+          this.requestServer(mcpServer, 'prompts/get', {
+            name: actualPromptName,
+            arguments: promptArgs
+          }, GetPromptResultSchema, { signal, onRequestId })
+        );
       } catch (error) {
-        console.error(`Error calling tool ${actualToolName} on server ${serverName}:`, error);
+        handlerLog.error('Error getting prompt', { server: serverName, prompt: actualPromptName, error });
         throw error;
       }
     });
+
+    // Pass the requested log level on to every server that supports logging.
+    // Upstream sessions are shared, so the last client to set a level wins.
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      const { level } = request.params;
+      
+      await Promise.allSettled(Array.from(this.mcpServers)
+        .filter(([, mcpServer]) => this.supportsCapability(mcpServer, 'logging') && !this.isCircuitOpen(mcpServer))
+        .map(async ([serverName, mcpServer]) => {
+          try {
+            await this.requestServer(mcpServer, 'logging/setLevel', { level }, EmptyResultSchema);
+          } catch (error) {
+            handlerLog.warn('Error setting log level', { server: serverName, level, error });
+          }
+        }));
+      
+      return {};
+    });
   }
 
   async startWebSocketServer() {
@@ -290,16 +1194,38 @@ class MCPProxyServer {
     const host = this.config.proxy?.host || '0.0.0.0';
     
     // Create HTTP server for health checks and WebSocket upgrade
-    const http = await import('http');
     const server = http.createServer((req, res) => {
-      if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          status: 'healthy',
-          servers: Array.from(this.mcpServers.keys()),
-          totalServers: this.mcpServers.size,
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const logsMatch = pathname.match(/^\/servers\/([^/]+)\/logs$/);
+      
+      if (pathname === '/admin' || pathname.startsWith('/admin/')) {
+        this.adminApi.handle(req, res, pathname);
+      } else if (pathname === '/mcp') {
+        this.streamableHttp.handle(req, res);
+      } else if (pathname === '/sse') {
+        this.legacySse.handleStream(req, res);
+      } else if (pathname === MESSAGES_PATH) {
+        this.legacySse.handleMessage(req, res);
+      } else if (logsMatch) {
+        this.handleServerLogs(req, res, decodeURIComponent(logsMatch[1]));
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+        res.end(this.metrics.render());
+      } else if (pathname === '/health/live') {
+        // Liveness: the process is up and serving HTTP
+        this.sendJson(res, 200, { status: 'alive', timestamp: new Date().toISOString() });
+      } else if (pathname === '/health/ready') {
+        // Readiness: initialization finished and all required servers are connected
+        const readiness = this.healthMonitor.getReadiness();
+        this.sendJson(res, readiness.ready ? 200 : 503, {
+          ...readiness,
           timestamp: new Date().toISOString()
-        }));
+        });
+      } else if (pathname === '/health') {
+        this.sendJson(res, 200, {
+          ...this.healthMonitor.getHealth(),
+          timestamp: new Date().toISOString()
+        });
       } else if (req.url === '/') {
         res.writeHead(200, { 'Content-Type': 'text/html' });
         res.end(`
@@ -310,6 +1236,7 @@ class MCPProxyServer {
               <p>Status: <strong>Running</strong></p>
               <p>Active Servers: <strong>${this.mcpServers.size}</strong></p>
               <p>WebSocket Endpoint: <code>wss://${req.headers.host}</code></p>
+              <p>Streamable HTTP Endpoint: <code>https://${req.headers.host}/mcp</code></p>
               <p>Health Check: <a href="/health">/health</a></p>
               <h3>Available Servers:</h3>
               <ul>
@@ -324,41 +1251,36 @@ class MCPProxyServer {
       }
     });
     
-    const wss = new WebSocketServer({ server });
+    const wss = new WebSocketServer({
+      noServer: true,
+      handleProtocols: (protocols) => this.accessControl.selectProtocol(protocols)
+    });
+    
+    // Check origin and API key before accepting the WebSocket upgrade
+    server.on('upgrade', (req, socket, head) => {
+      const result = this.accessControl.authenticate(req);
+      if (!result.allowed) {
+        rejectUnauthorized(req, result, 'WebSocket', headers => this.rejectUpgrade(socket, result.status, result.reason, headers));
+        return;
+      }
+      
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, result.client);
+      });
+    });
     
     server.listen(port, host, () => {
-      console.log(`WebSocket MCP Proxy Server listening on ${host}:${port}`);
-      console.log(`Health check available at: http://${host}:${port}/health`);
-      console.log(`WebSocket endpoint: ws://${host}:${port}`);
+      log.info(`WebSocket MCP Proxy Server listening on ${host}:${port}`, {
+        healthCheck: `http://${host}:${port}/health`,
+        websocket: `ws://${host}:${port}`,
+        streamableHttp: `http://${host}:${port}/mcp`,
+        sse: `http://${host}:${port}/sse`
+      });
     });
     
-    wss.on('connection', (ws) => {
-      const connectionId = uuidv4();
-      console.log(`New WebSocket connection: ${connectionId}`);
-      
-      // Create a new server instance for this connection
-      const connectionServer = new Server(
-        {
-          name: 'websocket-mcp-proxy',
-          version: '1.0.0',
-        },
-        {
-          capabilities: {
-            tools: {},
-            resources: {},
-          },
-        }
-      );
-      
-      // Copy handlers from main server
-      connectionServer.setRequestHandler(ListToolsRequestSchema, 
-        this.server.getRequestHandler(ListToolsRequestSchema)
-      );
-      connectionServer.setRequestHandler(CallToolRequestSchema, 
-        this.server.getRequestHandler(CallToolRequestSchema)
-      );
-      
-      // Set up WebSocket transport
+    wss.on('connection', (ws, req, client) => {
+      // Messages and the close event are relayed to the callbacks connect()
+      // installs on the transport
       const transport = {
         start: async () => {},
         send: async (message) => {
@@ -371,29 +1293,152 @@ class MCPProxyServer {
         }
       };
       
-      ws.on('message', async (data) => {
+      const { connectionId, log: connectionLog } = this.openConnection({
+        type: 'websocket',
+        client,
+        remoteAddress: req.socket.remoteAddress,
+        transport,
+        close: (reason) => ws.close(1000, reason)
+      });
+      
+      ws.on('message', (data) => {
         try {
           const message = JSON.parse(data.toString());
-          await connectionServer.handleMessage(message, transport);
+          connectionLog.debug('Received message', { requestId: message.id, method: message.method });
+          transport.onmessage?.(message);
         } catch (error) {
-          console.error(`Error handling message from ${connectionId}:`, error);
+          connectionLog.error('Error handling message', { error });
         }
       });
       
       ws.on('close', () => {
-        console.log(`WebSocket connection closed: ${connectionId}`);
-        this.clientConnections.delete(connectionId);
+        connectionLog.info('WebSocket connection closed');
+        this.closeConnection(connectionId);
+        transport.onclose?.();
       });
-      
-      this.clientConnections.set(connectionId, { ws, server: connectionServer });
     });
     
     return wss;
   }
 
+  /**
+   * Set up a client connection over any transport: a per-connection MCP
+   * server with the same routing handlers as the main server, registered in
+   * clientConnections. close(reason) ends the connection from the proxy
+   * side; the transport calls closeConnection once it has closed.
+   */
+  openConnection({ type, client, remoteAddress, transport, close }) {
+    const connectionId = uuidv4();
+    const connectionLog = log.child({ connectionId, client: client?.name });
+    connectionLog.info('New client connection', { transport: type });
+    
+    const connectionServer = new Server(
+      {
+        name: 'websocket-mcp-proxy',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: { listChanged: true },
+          resources: { listChanged: true },
+          prompts: { listChanged: true },
+          logging: {},
+        },
+      }
+    );
+    
+    const context = { connectionId, client, log: connectionLog, inflightRequests: new Map() };
+    this.setupHandlers(connectionServer, context);
+    
+    connectionServer.connect(transport).catch((error) => {
+      connectionLog.error('Error connecting MCP server to transport', { error });
+    });
+    
+    this.clientConnections.set(connectionId, {
+      type,
+      server: connectionServer,
+      context,
+      client,
+      remoteAddress,
+      connectedAt: Date.now(),
+      close
+    });
+    
+    return { connectionId, server: connectionServer, log: connectionLog };
+  }
+
+  /**
+   * Forget a closed client connection. Nobody is waiting for its in-flight
+   * results any more, so they are cancelled upstream.
+   */
+  closeConnection(connectionId) {
+    const connection = this.clientConnections.get(connectionId);
+    if (!connection) return;
+    
+    this.clientConnections.delete(connectionId);
+    for (const { controller } of connection.context.inflightRequests.values()) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * GET /servers/:name/logs - recent stderr lines of a STDIO server.
+   * Requires the same credentials as WebSocket clients, since upstream
+   * output may contain sensitive data. ?limit=N returns the last N lines.
+   */
+  handleServerLogs(req, res, name) {
+    if (req.method !== 'GET') {
+      this.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    
+    const auth = this.accessControl.authenticate(req);
+    if (!auth.allowed) {
+      rejectUnauthorized(req, auth, 'logs', headers => this.sendJson(res, auth.status, { error: auth.reason }, headers));
+      return;
+    }
+    
+    const supervisor = this.supervisors.get(name);
+    if (!supervisor) {
+      this.sendJson(res, 404, { error: `No logs available for server: ${name}` });
+      return;
+    }
+    
+    const limit = Number(new URL(req.url, 'http://localhost').searchParams.get('limit'));
+    const lines = supervisor.getStderrLines(limit > 0 ? limit : undefined);
+    
+    this.sendJson(res, 200, {
+      server: name,
+      state: supervisor.state,
+      lines
+    });
+  }
+
+  /**
+   * Answer a rejected WebSocket upgrade with a plain HTTP error response.
+   */
+  rejectUpgrade(socket, status, reason, extraHeaders = {}) {
+    const body = JSON.stringify({ error: reason });
+    const headers = [
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+      ...Object.entries(extraHeaders).map(([name, value]) => `${name}: ${value}`)
+    ];
+    
+    socket.write(`${headers.join('\r\n')}\r\n\r\n${body}`);
+    socket.destroy();
+  }
+
   async start() {
     try {
-      console.log('Starting WebSocket MCP Proxy Server...');
+      log.info('Starting WebSocket MCP Proxy Server...');
       
       // Initialize all configured MCP servers
       await this.initializeMCPServers();
@@ -401,38 +1446,47 @@ class MCPProxyServer {
       // Start WebSocket server
       await this.startWebSocketServer();
       
-      console.log('WebSocket MCP Proxy Server started successfully');
+      // Start pinging upstream servers
+      this.healthMonitor.start();
+      
+      // Apply config changes without restarting
+      this.watchConfig();
+      
+      log.info('WebSocket MCP Proxy Server started successfully');
       
       // Handle graceful shutdown
       process.on('SIGINT', () => this.shutdown());
       process.on('SIGTERM', () => this.shutdown());
       
     } catch (error) {
-      console.error('Failed to start server:', error);
+      log.error('Failed to start server', { error });
       process.exit(1);
     }
   }
 
   async shutdown() {
-    console.log('Shutting down WebSocket MCP Proxy Server...');
+    log.info('Shutting down WebSocket MCP Proxy Server...');
+    
+    this.healthMonitor.stop();
+    
+    unwatchFile(this.configPath);
     
-    // Close all MCP server processes
-    for (const [name, { process, transport }] of this.mcpServers) {
-      console.log(`Stopping MCP server: ${name}`);
+    // Stop all servers, including STDIO servers waiting to restart
+    const names = new Set([...this.supervisors.keys(), ...this.mcpServers.keys()]);
+    for (const name of names) {
       try {
-        await transport.close();
-        process.kill();
+        await this.stopServer(name);
       } catch (error) {
-        console.error(`Error stopping MCP server ${name}:`, error);
+        log.error('Error stopping MCP server', { server: name, error });
       }
     }
     
     // Close all client connections
-    for (const [connectionId, { ws }] of this.clientConnections) {
-      ws.close();
+    for (const connection of this.clientConnections.values()) {
+      connection.close('Server shutting down');
     }
     
-    console.log('Server shutdown complete');
+    log.info('Server shutdown complete');
     process.exit(0);
   }
 }
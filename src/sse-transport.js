@@ -0,0 +1,286 @@
+import { HttpTransport } from './http-transport.js';
+import { CLIENT_INFO, PROTOCOL_VERSION } from './remote-transport.js';
+import { withTimeout } from './timeouts.js';
+
+/**
+ * Statuses on which the eventsource client reconnects by itself
+ */
+const RETRIED_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Transport for MCP servers of type SSE (the HTTP+SSE transport of protocol
+ * version 2024-11-05)
+ * The server announces the URL to POST messages to in an `endpoint` event on
+ * the stream, and answers arrive on the stream. A dropped stream is reopened
+ * with Last-Event-ID; requests waiting for an answer survive if the server
+ * resumes the same session within connectTimeoutMs and fail otherwise. With
+ * OAuth, a stream rejected with 401 is reopened once with a new token.
+ *
+ * Events (besides those of HttpTransport):
+ * - session: a session was initialized after connect(), because the server
+ *   replaced the previous one, the first endpoint event came late or a
+ *   request retried the failed first handshake
+ */
+export class SseTransport extends HttpTransport {
+  constructor(config, options) {
+    super(config, options);
+    this.eventSource = null;
+    this.endpoint = null;
+    this.dropTimer = null;
+    this.streamHeaders = null;
+    this.streamReauthorized = false;
+  }
+
+  async connectTransport() {
+    const endpointReceived = new Promise((resolve, reject) => {
+      this.once('endpoint', resolve);
+      this.once('stream-closed', reject);
+    });
+
+    // On failure the stream keeps reconnecting; a late endpoint event
+    // starts the session then
+    try {
+      await this.openStream();
+      await withTimeout(endpointReceived, this.connectTimeoutMs, `No endpoint event from ${this.config.name} within ${this.connectTimeoutMs}ms`);
+      await this.initialize();
+    } finally {
+      this.removeAllListeners('endpoint');
+      this.removeAllListeners('stream-closed');
+    }
+  }
+
+  async openStream() {
+    const EventSource = (await import('eventsource')).default;
+
+    if (this.oauth) {
+      await this.authorize();
+    }
+    // The stream negotiates its own Accept header. The eventsource client
+    // reads these headers on every reconnect, so authorize() updates them.
+    const { 'Content-Type': contentType, Accept: accept, ...headers } = this.headers;
+    this.streamHeaders = headers;
+
+    this.eventSource = new EventSource(this.url, { headers });
+
+    this.eventSource.addEventListener('open', () => {
+      this.log.info('SSE stream opened');
+    });
+
+    this.eventSource.addEventListener('endpoint', (event) => {
+      this.handleEndpoint(event.data);
+    });
+
+    this.eventSource.addEventListener('message', (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        this.log.error('Error parsing SSE message', { error });
+      }
+    });
+
+    this.eventSource.addEventListener('error', (event) => {
+      this.handleStreamError(event);
+    });
+  }
+
+  async authorize() {
+    const token = await super.authorize();
+    if (this.streamHeaders) {
+      this.streamHeaders['Authorization'] = this.headers['Authorization'];
+    }
+    return token;
+  }
+
+  /**
+   * Handle the endpoint event, sent when the stream opens. A different URL
+   * after a reconnect means the server started a new session: requests of
+   * the old one will never be answered, and the new one needs a handshake.
+   */
+  handleEndpoint(data) {
+    let endpoint;
+    try {
+      endpoint = new URL(data, this.url);
+    } catch {
+      this.log.error('Invalid endpoint event', { data });
+      return;
+    }
+
+    // Requests carry our credentials, so they must stay on the server's origin
+    if (endpoint.origin !== new URL(this.url).origin) {
+      this.log.error('Endpoint origin does not match the server URL', { endpoint: endpoint.origin });
+      this.closeStream();
+      this.failPending(new Error(`SSE endpoint origin ${endpoint.origin} does not match the server URL`));
+      this.emit('stream-closed', new Error('SSE endpoint origin does not match the server URL'));
+      return;
+    }
+
+    clearTimeout(this.dropTimer);
+    this.dropTimer = null;
+    this.streamReauthorized = false;
+
+    const previous = this.endpoint;
+    this.endpoint = endpoint;
+    this.emit('endpoint', endpoint);
+
+    if (previous?.href === endpoint.href) {
+      this.log.info('SSE stream resumed');
+      return;
+    }
+
+    if (previous) {
+      this.log.warn('SSE session replaced by the server; initializing again');
+      this.failPending(new Error('SSE session was replaced by the server'));
+    } else if (!this.connected) {
+      // connectTransport runs the first handshake
+      return;
+    }
+
+    this.reinitialize().catch((error) => {
+      this.lastError = error.message;
+      this.log.error('Initialize request failed', { error });
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * The eventsource client reconnects by itself after network errors and
+   * 5xx responses, and gives up on other error responses (reporting them
+   * before it closes).
+   */
+  handleStreamError(event) {
+    const message = event.status
+      ? `HTTP ${event.status}${event.message ? ` ${event.message}` : ''}`
+      : event.message || 'stream error';
+    const closed = this.eventSource?.readyState === this.eventSource?.constructor.CLOSED ||
+      (event.status !== undefined && !RETRIED_STATUSES.includes(event.status));
+
+    if (closed && event.status === 401 && this.oauth && !this.streamReauthorized) {
+      this.log.warn('Access token rejected on the SSE stream; reopening with a new one');
+      this.streamReauthorized = true;
+      this.oauth.invalidate(this.streamHeaders['Authorization'].slice('Bearer '.length));
+      this.closeStream();
+      this.openStream().catch((error) => {
+        this.handleStreamError({ message: error.message });
+      });
+      return;
+    }
+
+    if (closed) {
+      const error = new Error(`SSE stream closed: ${message}`);
+      this.log.error('SSE stream closed', { error: message });
+      this.lastError = error.message;
+      this.failPending(error);
+      this.emit('stream-closed', error);
+      if (this.connected) this.emit('error', error);
+      return;
+    }
+
+    if (!this.dropTimer && this.endpoint) {
+      this.log.warn('SSE stream dropped; reconnecting', { error: message });
+      this.lastError = `SSE stream dropped: ${message}`;
+      this.dropTimer = setTimeout(() => {
+        this.dropTimer = null;
+        this.failPending(new Error(`SSE stream did not reconnect within ${this.connectTimeoutMs}ms`));
+      }, this.connectTimeoutMs);
+    }
+  }
+
+  /**
+   * Run the MCP handshake for the current session.
+   */
+  async initialize() {
+    const response = await this.postAndWait({
+      jsonrpc: '2.0',
+      id: `init-${++this.requestId}`,
+      method: 'initialize',
+      params: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }
+    }, AbortSignal.timeout(this.connectTimeoutMs));
+
+    if (response.error) {
+      throw new Error(`Initialize failed: ${response.error.message}`);
+    }
+
+    ({ protocolVersion: this.protocolVersion, capabilities: this.capabilities, serverInfo: this.serverInfo } = response.result);
+    await this.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    this.log.debug('Initialize request succeeded', { protocolVersion: this.protocolVersion });
+  }
+
+  getPostUrl() {
+    if (!this.endpoint) {
+      throw new Error(`No SSE endpoint received from ${this.config.name}`);
+    }
+    return this.endpoint.href;
+  }
+
+  async sendRequest(message, signal) {
+    // The first handshake failed; try again now that there is a request
+    if (!this.protocolVersion && this.endpoint) {
+      await this.reinitialize();
+    }
+    return this.postAndWait(message, signal);
+  }
+
+  /**
+   * POST a request and wait for its answer on the stream. The pending entry
+   * is registered first, since the answer may arrive before the POST returns.
+   */
+  async postAndWait(message, signal) {
+    const postUrl = this.getPostUrl();
+
+    const answered = new Promise((resolve, reject) => {
+      this.pendingRequests.set(message.id, { resolve, reject });
+    });
+    // Only awaited once the POST succeeds
+    answered.catch(() => {});
+
+    const onAbort = () => {
+      const pending = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      pending?.reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await this.authorizedFetch(postUrl, () => ({
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify(message),
+        signal
+      }));
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        throw new Error(`SSE POST failed: ${response.status} ${response.statusText}`);
+      }
+
+      return await answered;
+    } catch (error) {
+      this.pendingRequests.delete(message.id);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  isReady() {
+    return super.isReady() && Boolean(this.eventSource) &&
+      this.eventSource.readyState === this.eventSource.constructor.OPEN;
+  }
+
+  closeStream() {
+    clearTimeout(this.dropTimer);
+    this.dropTimer = null;
+    this.eventSource?.close();
+    this.eventSource = null;
+  }
+
+  async disconnect() {
+    this.closeStream();
+    this.endpoint = null;
+    await super.disconnect();
+  }
+}
@@ -0,0 +1,299 @@
+import { EventEmitter } from 'events';
+import { ProgressNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StdioProcessTransport } from './stdio-transport.js';
+import { UpstreamClient } from './upstream-client.js';
+import { logger } from './logger.js';
+import { DEFAULT_TIMEOUTS, getBackoffDelay, withTimeout } from './timeouts.js';
+
+export const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+export const DEFAULT_STDERR_BUFFER_SIZE = 200;
+
+export const DEFAULT_RESTART_OPTIONS = {
+  policy: 'on-failure',
+  maxRestarts: 5,
+  windowMs: 60000,
+  initialDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Supervises a STDIO MCP server process
+ * Spawns the process, performs the MCP handshake and restarts it according
+ * to the configured policy with exponential backoff. Once more than
+ * maxRestarts restarts happen within windowMs the server is marked as
+ * crash-looping and left down. The last stderrBufferSize lines the process
+ * wrote to stderr are kept across restarts.
+ *
+ * Events:
+ * - ready (session): a session finished its handshake
+ * - exit ({ code, signal }): the process exited
+ * - restarting ({ attempt, delay }): a restart has been scheduled
+ * - crash-loop: the restart limit was hit
+ * - state (state): the supervisor state changed
+ * - stderr ({ timestamp, line }): the process wrote a line to stderr
+ * - notification (notification): the server sent a notification that the
+ *   client session does not handle itself (progress, list changes, log
+ *   messages...)
+ */
+export class StdioSupervisor extends EventEmitter {
+  constructor(serverConfig, { connectTimeoutMs = DEFAULT_TIMEOUTS.connectMs, stopTimeoutMs } = {}) {
+    super();
+    this.config = serverConfig;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.stopTimeoutMs = stopTimeoutMs;
+    this.name = serverConfig.name;
+    this.log = logger.child({ component: 'stdio-supervisor', server: serverConfig.name });
+    this.options = { ...DEFAULT_RESTART_OPTIONS, ...(serverConfig.restart || {}) };
+    this.state = 'idle';
+    this.session = null;
+    this.transport = null;
+    this.restartTimes = [];
+    this.restartCount = 0;
+    this.restartTimer = null;
+    this.lastExit = null;
+    this.lastError = null;
+    this.stopping = false;
+    this.stderrBufferSize = serverConfig.stderrBufferSize ?? DEFAULT_STDERR_BUFFER_SIZE;
+    this.stderrLines = [];
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * Start the server. Resolves once the first handshake succeeds; if it
+   * fails, the error is rethrown after a restart has been scheduled (when
+   * the policy allows it).
+   */
+  async start() {
+    this.stopping = false;
+    try {
+      return await this.spawnSession();
+    } catch (error) {
+      this.handleFailure(error);
+      throw error;
+    }
+  }
+
+  async spawnSession() {
+    const { command, args = [], env = {} } = this.config;
+
+    this.setState('starting');
+
+    const transport = new StdioProcessTransport({
+      command,
+      args,
+      env: { ...process.env, ...env },
+      stopTimeoutMs: this.stopTimeoutMs
+    });
+    const client = new UpstreamClient(
+      { name: 'websocket-mcp-proxy', version: '1.0.0' },
+      { capabilities: {} }
+    );
+
+    client.fallbackNotificationHandler = async (notification) => {
+      this.emit('notification', notification);
+    };
+    // Progress is routed by the proxy: the SDK drops progress that arrives
+    // in the same read as the final response
+    client.setNotificationHandler(ProgressNotificationSchema, async (notification) => {
+      this.emit('notification', notification);
+    });
+
+    this.transport = transport;
+    transport.on('exit', (code, signal) => this.handleExit(transport, code, signal));
+    transport.on('stderr', (line) => this.handleStderr(line));
+
+    // Spawns the process and performs the initialize handshake
+    try {
+      await withTimeout(client.connect(transport), this.connectTimeoutMs, `MCP handshake timed out after ${this.connectTimeoutMs}ms`);
+    } catch (error) {
+      // The failure is handled by the caller, not as an unexpected exit
+      if (this.transport === transport) this.transport = null;
+      await transport.close();
+      throw error;
+    }
+
+    // stop() was called during the handshake
+    if (this.stopping) {
+      await client.close();
+      throw new Error('Server was stopped during the handshake');
+    }
+
+    const session = {
+      client,
+      transport,
+      pid: transport.getPid(),
+      protocolVersion: client.getProtocolVersion(),
+      capabilities: client.getServerCapabilities() || {},
+      serverInfo: client.getServerVersion(),
+      startedAt: Date.now()
+    };
+
+    this.session = session;
+    this.lastError = null;
+    this.log.debug('MCP server session ready', { pid: session.pid });
+    this.setState('running');
+    this.emit('ready', session);
+
+    return session;
+  }
+
+  handleExit(transport, code, signal) {
+    // Ignore exits from processes that have already been replaced
+    if (transport !== this.transport) return;
+
+    this.session = null;
+    this.lastExit = { code, signal, at: Date.now() };
+    this.log.info('MCP server process exited', { code, signal });
+    this.emit('exit', { code, signal });
+
+    if (this.stopping) {
+      this.setState('stopped');
+      return;
+    }
+
+    const failed = code !== 0;
+    if (failed) {
+      this.lastError = new Error(`Process exited with ${signal ? `signal ${signal}` : `code ${code}`}`);
+    }
+
+    if (this.shouldRestart(failed)) {
+      this.scheduleRestart();
+    } else {
+      this.setState(failed ? 'failed' : 'stopped');
+    }
+  }
+
+  handleStderr(line) {
+    const entry = { timestamp: new Date().toISOString(), line };
+
+    this.stderrLines.push(entry);
+    if (this.stderrLines.length > this.stderrBufferSize) {
+      this.stderrLines.splice(0, this.stderrLines.length - this.stderrBufferSize);
+    }
+
+    this.log.info(line, { stream: 'stderr' });
+    this.emit('stderr', entry);
+  }
+
+  /**
+   * Most recent stderr lines, oldest first.
+   */
+  getStderrLines(limit = this.stderrBufferSize) {
+    return limit > 0 ? this.stderrLines.slice(-limit) : [];
+  }
+
+  handleFailure(error) {
+    this.lastError = error;
+
+    if (this.stopping) {
+      this.setState('stopped');
+      return;
+    }
+
+    if (this.shouldRestart(true)) {
+      this.scheduleRestart();
+    } else {
+      this.setState('failed');
+    }
+  }
+
+  shouldRestart(failed) {
+    switch (this.options.policy) {
+      case 'always':
+        return true;
+      case 'on-failure':
+        return failed;
+      default:
+        return false;
+    }
+  }
+
+  scheduleRestart() {
+    if (this.restartTimer) return;
+
+    const now = Date.now();
+    this.restartTimes = this.restartTimes.filter(time => now - time < this.options.windowMs);
+
+    if (this.restartTimes.length >= this.options.maxRestarts) {
+      this.log.error('MCP server is crash-looping: restart limit reached, giving up', {
+        maxRestarts: this.options.maxRestarts,
+        windowMs: this.options.windowMs,
+        error: this.lastError
+      });
+      this.setState('crash-looping');
+      this.emit('crash-loop');
+      return;
+    }
+
+    const attempt = this.restartTimes.length + 1;
+    const delay = getBackoffDelay(attempt, this.options);
+    this.restartTimes.push(now);
+
+    this.log.warn('Restarting MCP server', { attempt, delay, error: this.lastError });
+    this.setState('restarting');
+    this.emit('restarting', { attempt, delay });
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      if (this.stopping) return;
+
+      this.restartCount++;
+      try {
+        await this.spawnSession();
+      } catch (error) {
+        this.handleFailure(error);
+      }
+    }, delay);
+  }
+
+  /**
+   * Reset the crash-loop bookkeeping and start the server again.
+   */
+  async restart() {
+    await this.stop();
+    this.restartTimes = [];
+    this.restartCount++;
+    return await this.start();
+  }
+
+  async stop() {
+    this.stopping = true;
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    // Without a session the process may still be in its handshake
+    const { session, transport } = this;
+    this.session = null;
+    if (session) {
+      await session.client.close();
+    } else if (transport) {
+      await transport.close();
+    }
+
+    this.setState('stopped');
+  }
+
+  isRunning() {
+    return this.state === 'running';
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      pid: this.session?.pid ?? null,
+      restarts: this.restartCount,
+      lastExit: this.lastExit,
+      lastError: this.lastError?.message ?? null,
+      startedAt: this.session?.startedAt ?? null
+    };
+  }
+}
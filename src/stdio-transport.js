@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { ReadBuffer, serializeMessage } from '@modelcontextprotocol/sdk/shared/stdio.js';
+import { withTimeout } from './timeouts.js';
+
+/**
+ * How long close() waits for the process to exit before escalating, first
+ * after closing stdin and again after SIGTERM
+ */
+export const DEFAULT_STOP_TIMEOUT_MS = 2000;
+
+/**
+ * MCP client transport over a spawned process's stdin/stdout
+ * Unlike the SDK's StdioClientTransport it keeps hold of the child process,
+ * so the supervisor can observe exit codes and signals. stderr is always
+ * drained (so a chatty child can never block on a full pipe) and emitted
+ * line by line as 'stderr' events. Closing the transport asks the process
+ * to exit by closing its stdin and kills it if it does not.
+ */
+export class StdioProcessTransport extends EventEmitter {
+  constructor({ command, args = [], env = process.env, stopTimeoutMs = DEFAULT_STOP_TIMEOUT_MS }) {
+    super();
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.stopTimeoutMs = stopTimeoutMs;
+    this.process = null;
+    this.readBuffer = new ReadBuffer();
+
+    // Set by the MCP client when it connects
+    this.onmessage = undefined;
+    this.onerror = undefined;
+    this.onclose = undefined;
+  }
+
+  async start() {
+    if (this.process) {
+      throw new Error(`Process already started: ${this.command}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, this.args, {
+        env: this.env,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: false
+      });
+      this.process = child;
+
+      child.on('spawn', () => {
+        this.emit('spawn', child.pid);
+        resolve();
+      });
+
+      child.on('error', (error) => {
+        reject(error);
+        this.onerror?.(error);
+      });
+
+      child.on('exit', (code, signal) => {
+        this.emit('exit', code, signal);
+      });
+
+      child.on('close', () => {
+        this.process = null;
+        this.readBuffer.clear();
+        this.onclose?.();
+      });
+
+      child.stdin.on('error', (error) => this.onerror?.(error));
+      child.stdout.on('error', (error) => this.onerror?.(error));
+      child.stdout.on('data', (chunk) => {
+        this.readBuffer.append(chunk);
+        this.processReadBuffer();
+      });
+
+      createInterface({ input: child.stderr, crlfDelay: Infinity })
+        .on('line', (line) => this.emit('stderr', line));
+    });
+  }
+
+  processReadBuffer() {
+    while (true) {
+      try {
+        const message = this.readBuffer.readMessage();
+        if (message === null) break;
+        this.onmessage?.(message);
+      } catch (error) {
+        this.onerror?.(error);
+      }
+    }
+  }
+
+  send(message) {
+    return new Promise((resolve, reject) => {
+      if (!this.process?.stdin) {
+        reject(new Error(`Process not running: ${this.command}`));
+        return;
+      }
+
+      if (this.process.stdin.write(serializeMessage(message))) {
+        resolve();
+      } else {
+        this.process.stdin.once('drain', resolve);
+      }
+    });
+  }
+
+  /**
+   * Stop the process: close its stdin, then send SIGTERM and finally
+   * SIGKILL to a process still running after stopTimeoutMs. Resolves once
+   * it has exited.
+   */
+  async close() {
+    const child = this.process;
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const exitsWithin = (ms) => withTimeout(exited, ms).then(() => true, () => false);
+
+    child.stdin.end();
+    if (await exitsWithin(this.stopTimeoutMs)) return;
+
+    child.kill('SIGTERM');
+    if (await exitsWithin(this.stopTimeoutMs)) return;
+
+    child.kill('SIGKILL');
+    await exited;
+  }
+
+  getPid() {
+    return this.process?.pid ?? null;
+  }
+}
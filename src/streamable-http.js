@@ -0,0 +1,371 @@
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { rejectUnauthorized } from './access-control.js';
+import { readJsonBody } from './http-body.js';
+import { SESSION_HEADER } from './http-transport.js';
+import { logger } from './logger.js';
+
+/**
+ * Sessions without any request or open stream for this long are closed
+ */
+export const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const log = logger.child({ component: 'streamable-http' });
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function isRequest(message) {
+  return message.method !== undefined && message.id !== undefined;
+}
+
+function accepts(req, type) {
+  const accept = req.headers['accept'] || '*/*';
+  return accept.includes(type) || accept.includes('*/*');
+}
+
+/**
+ * Answer to a POST containing requests: an SSE stream, or a JSON body for
+ * clients that do not accept event streams. It ends once every request in
+ * the POST has its response.
+ */
+class PostResponse {
+  constructor(res, requestIds, { sse, batch, headers }) {
+    this.res = res;
+    this.pending = new Set(requestIds);
+    this.sse = sse;
+    this.batch = batch;
+    this.responses = [];
+    this.finished = false;
+    this.closed = false;
+    this.onfinish = null;
+
+    if (sse) {
+      res.writeHead(200, { ...headers, ...SSE_HEADERS });
+      res.flushHeaders();
+    } else {
+      this.headers = headers;
+    }
+
+    res.on('close', () => {
+      this.closed = true;
+    });
+  }
+
+  /**
+   * Write a message for this POST. Returns false when it cannot carry it,
+   * i.e. notifications on a JSON response or a finished stream.
+   */
+  write(message) {
+    const isResponse = message.method === undefined;
+    if (this.finished || (!this.sse && !isResponse)) return false;
+
+    if (this.sse) {
+      if (!this.closed) writeEvent(this.res, message);
+    } else {
+      this.responses.push(message);
+    }
+
+    if (isResponse) {
+      this.pending.delete(message.id);
+      if (this.pending.size === 0) this.finish();
+    }
+    return true;
+  }
+
+  finish() {
+    this.finished = true;
+    if (this.sse) {
+      this.res.end();
+    } else if (!this.closed) {
+      const body = this.batch ? this.responses : this.responses[0];
+      this.res.writeHead(200, { ...this.headers, 'Content-Type': 'application/json' });
+      this.res.end(JSON.stringify(body));
+    }
+    this.onfinish?.();
+  }
+}
+
+/**
+ * MCP transport for one Streamable HTTP session
+ * Responses go back on the POST that carried their request, progress goes
+ * to the POST whose request asked for it, and everything else goes to the
+ * stream the client opened with GET (and is dropped when there is none).
+ */
+export class StreamableHttpSession {
+  constructor(client) {
+    this.client = client;
+    this.sessionId = null;
+    this.requests = new Map();
+    this.progress = new Map();
+    this.stream = null;
+    this.idleTimer = null;
+  }
+
+  async start() {
+    // Messages arrive through receive()
+  }
+
+  async send(message) {
+    if (message.method === undefined) {
+      const response = this.requests.get(message.id);
+      this.requests.delete(message.id);
+      response?.write(message);
+      return;
+    }
+
+    if (message.method === 'notifications/progress') {
+      const response = this.progress.get(message.params?.progressToken);
+      if (response?.write(message)) return;
+    }
+
+    if (this.stream) {
+      writeEvent(this.stream, message);
+    }
+  }
+
+  async close() {
+    this.stream?.end();
+    this.stream = null;
+    for (const response of new Set(this.requests.values())) {
+      if (!response.finished && response.sse) response.res.end();
+    }
+    this.requests.clear();
+    this.progress.clear();
+    this.onclose?.();
+  }
+
+  /**
+   * Hand the messages of a POST to the MCP server and answer it: 202 when
+   * it only carries notifications and responses, otherwise a PostResponse.
+   */
+  receive(messages, res, { sse, batch, headers = {} }) {
+    const requests = messages.filter(isRequest);
+
+    if (requests.length === 0) {
+      res.writeHead(202, headers);
+      res.end();
+    } else {
+      const response = new PostResponse(res, requests.map(request => request.id), { sse, batch, headers });
+      const tokens = [];
+      for (const request of requests) {
+        this.requests.set(request.id, response);
+        const token = request.params?._meta?.progressToken;
+        if (token !== undefined) {
+          this.progress.set(token, response);
+          tokens.push(token);
+        }
+      }
+      response.onfinish = () => {
+        for (const token of tokens) {
+          if (this.progress.get(token) === response) this.progress.delete(token);
+        }
+      };
+    }
+
+    for (const message of messages) {
+      this.onmessage?.(message);
+    }
+  }
+}
+
+/**
+ * The /mcp endpoint: the Streamable HTTP transport for MCP clients, with the
+ * same authentication and routing as WebSocket connections
+ *
+ *   POST   /mcp   send requests, notifications or responses; an initialize
+ *                 request without a session starts a new session
+ *   GET    /mcp   open the stream for server-to-client messages
+ *   DELETE /mcp   end the session
+ *
+ * Every request after initialize carries the Mcp-Session-Id header.
+ */
+export class StreamableHttpEndpoint {
+  constructor(proxy) {
+    this.proxy = proxy;
+    this.sessions = new Map();
+  }
+
+  sendError(res, status, code, message, headers = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  async handle(req, res) {
+    const auth = this.proxy.accessControl.authenticate(req);
+    if (!auth.allowed) {
+      rejectUnauthorized(req, auth, 'HTTP', headers => this.sendError(res, auth.status, ErrorCode.InvalidRequest, auth.reason, headers));
+      return;
+    }
+
+    try {
+      switch (req.method) {
+        case 'POST':
+          await this.handlePost(req, res, auth.client);
+          break;
+        case 'GET':
+          this.handleGet(req, res, auth.client);
+          break;
+        case 'DELETE':
+          this.handleDelete(req, res, auth.client);
+          break;
+        default:
+          this.sendError(res, 405, ErrorCode.InvalidRequest, 'Method not allowed', { Allow: 'GET, POST, DELETE' });
+      }
+    } catch (error) {
+      log.error('Error handling HTTP request', { method: req.method, error });
+      if (!res.headersSent) {
+        this.sendError(res, 500, ErrorCode.InternalError, 'Internal error');
+      }
+    }
+  }
+
+  /**
+   * Look up the session named by the request's header, answering the
+   * request with an error when there is none. Sessions belong to the client
+   * that created them.
+   */
+  findSession(req, res, client) {
+    const sessionId = req.headers[SESSION_HEADER.toLowerCase()];
+    if (!sessionId) {
+      this.sendError(res, 400, ErrorCode.InvalidRequest, `Missing ${SESSION_HEADER} header`);
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session || session.client?.name !== client?.name) {
+      this.sendError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+      return null;
+    }
+
+    this.touch(session);
+    return session;
+  }
+
+  async handlePost(req, res, client) {
+    if (!(req.headers['content-type'] || '').includes('application/json')) {
+      this.sendError(res, 415, ErrorCode.InvalidRequest, 'Content-Type must be application/json');
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      this.sendError(res, error.status || 400, ErrorCode.ParseError, error.message);
+      return;
+    }
+
+    const batch = Array.isArray(body);
+    const messages = batch ? body : [body];
+    if (messages.length === 0 || messages.some(message => !message || message.jsonrpc !== '2.0')) {
+      this.sendError(res, 400, ErrorCode.InvalidRequest, 'Body must be a JSON-RPC 2.0 message or batch');
+      return;
+    }
+
+    const options = { sse: accepts(req, 'text/event-stream'), batch };
+
+    if (messages.some(message => message.method === 'initialize')) {
+      if (messages.length > 1) {
+        this.sendError(res, 400, ErrorCode.InvalidRequest, 'initialize must be sent on its own');
+        return;
+      }
+      if (req.headers[SESSION_HEADER.toLowerCase()]) {
+        this.sendError(res, 400, ErrorCode.InvalidRequest, 'Session is already initialized');
+        return;
+      }
+
+      const session = this.createSession(req, client);
+      session.receive(messages, res, { ...options, headers: { [SESSION_HEADER]: session.sessionId } });
+      return;
+    }
+
+    const session = this.findSession(req, res, client);
+    if (session) {
+      session.receive(messages, res, options);
+    }
+  }
+
+  handleGet(req, res, client) {
+    if (!accepts(req, 'text/event-stream')) {
+      this.sendError(res, 406, ErrorCode.InvalidRequest, 'Accept must include text/event-stream');
+      return;
+    }
+
+    const session = this.findSession(req, res, client);
+    if (!session) return;
+
+    if (session.stream) {
+      this.sendError(res, 409, ErrorCode.InvalidRequest, 'Session already has an open stream');
+      return;
+    }
+
+    res.writeHead(200, SSE_HEADERS);
+    res.flushHeaders();
+    session.stream = res;
+    res.on('close', () => {
+      if (session.stream === res) {
+        session.stream = null;
+        this.touch(session);
+      }
+    });
+  }
+
+  handleDelete(req, res, client) {
+    const session = this.findSession(req, res, client);
+    if (!session) return;
+
+    this.closeSession(session.sessionId, 'Session ended by client');
+    res.writeHead(204);
+    res.end();
+  }
+
+  createSession(req, client) {
+    const session = new StreamableHttpSession(client);
+    const { connectionId } = this.proxy.openConnection({
+      type: 'http',
+      client,
+      remoteAddress: req.socket.remoteAddress,
+      transport: session,
+      close: (reason) => this.closeSession(connectionId, reason)
+    });
+
+    session.sessionId = connectionId;
+    this.sessions.set(connectionId, session);
+    this.touch(session);
+    return session;
+  }
+
+  /**
+   * Restart a session's idle timer. Sessions with an open stream stay
+   * alive until it closes.
+   */
+  touch(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      if (session.stream) {
+        this.touch(session);
+      } else {
+        this.closeSession(session.sessionId, 'Session idle');
+      }
+    }, SESSION_IDLE_TIMEOUT_MS);
+    session.idleTimer.unref();
+  }
+
+  closeSession(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    log.info('Closing HTTP session', { connectionId: sessionId, reason });
+    this.sessions.delete(sessionId);
+    clearTimeout(session.idleTimer);
+    this.proxy.closeConnection(sessionId);
+    session.close().catch((error) => log.warn('Error closing HTTP session', { connectionId: sessionId, error }));
+  }
+}
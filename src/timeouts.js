@@ -0,0 +1,71 @@
+import { globToRegExp } from './access-control.js';
+
+/**
+ * Timeouts in milliseconds used when neither proxy.timeouts nor a server's
+ * timeouts set them:
+ * - connectMs: connecting to a server (STDIO handshake, HTTP initialize)
+ * - requestMs: any other request to a server
+ * - toolCallMs: tools/call
+ */
+export const DEFAULT_TIMEOUTS = {
+  connectMs: 30000,
+  requestMs: 30000,
+  toolCallMs: 300000
+};
+
+export const TIMEOUT_KEYS = Object.keys(DEFAULT_TIMEOUTS);
+
+/**
+ * JSON-RPC error code returned when an upstream server does not answer in time
+ */
+export const REQUEST_TIMEOUT_ERROR_CODE = -32001;
+
+/**
+ * Merge the proxy-wide and per-server timeouts. Tool patterns only exist at
+ * the server level, where they match the server's own tool names.
+ */
+export function resolveTimeouts(proxyTimeouts = {}, serverTimeouts = {}) {
+  const { tools = {}, ...timeouts } = serverTimeouts || {};
+  return {
+    ...DEFAULT_TIMEOUTS,
+    ...(proxyTimeouts || {}),
+    ...timeouts,
+    tools: Object.entries(tools).map(([pattern, timeoutMs]) => ({
+      pattern: globToRegExp(pattern),
+      timeoutMs
+    }))
+  };
+}
+
+/**
+ * Timeout for a request to a server: the first tool pattern matching the
+ * tool name for tools/call, otherwise toolCallMs or requestMs.
+ */
+export function getRequestTimeout(timeouts, method, toolName) {
+  if (method !== 'tools/call') {
+    return timeouts.requestMs;
+  }
+
+  const match = timeouts.tools.find(({ pattern }) => pattern.test(toolName));
+  return match ? match.timeoutMs : timeouts.toolCallMs;
+}
+
+/**
+ * Wait at most ms for a promise, failing with message after that. The
+ * promise itself keeps running.
+ */
+export function withTimeout(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Delay before the given retry attempt (counting from 1): initialDelayMs,
+ * doubled with every attempt up to maxDelayMs
+ */
+export function getBackoffDelay(attempt, { initialDelayMs, maxDelayMs }) {
+  return Math.min(initialDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+}
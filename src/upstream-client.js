@@ -0,0 +1,41 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+
+/**
+ * MCP client session used to talk to upstream servers
+ * Records the protocol version negotiated during the initialize handshake,
+ * which the SDK client validates but does not keep, and fixes the method
+ * name of the cancellation the SDK sends when a request's signal aborts.
+ * options.onRequestId receives the id a request is sent with.
+ */
+export class UpstreamClient extends Client {
+  constructor(clientInfo, options) {
+    super(clientInfo, options);
+    this.protocolVersion = null;
+  }
+
+  async connect(transport) {
+    // The SDK sends aborted requests' cancellations as "cancelled"
+    const send = transport.send.bind(transport);
+    transport.send = (message) => send(message.method === 'cancelled'
+      ? { ...message, method: 'notifications/cancelled' }
+      : message);
+
+    return await super.connect(transport);
+  }
+
+  async request(request, resultSchema, options) {
+    // The SDK numbers requests in the order they are made
+    options?.onRequestId?.(this._requestMessageId);
+    const result = await super.request(request, resultSchema, options);
+
+    if (request.method === 'initialize') {
+      this.protocolVersion = result.protocolVersion;
+    }
+
+    return result;
+  }
+
+  getProtocolVersion() {
+    return this.protocolVersion;
+  }
+}
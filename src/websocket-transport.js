@@ -1,4 +1,14 @@
 import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { logger } from './logger.js';
+import { CLIENT_INFO, DEFAULT_RECONNECT_OPTIONS, PROTOCOL_VERSION, RemoteTransport } from './remote-transport.js';
+import { getBackoffDelay } from './timeouts.js';
+
+/**
+ * Subprotocol offered when connecting to WEBSOCKET servers, as used by the
+ * MCP SDK's WebSocket transports
+ */
+export const SUBPROTOCOL = 'mcp';
 
 export class WebSocketTransport extends EventEmitter {
   constructor(ws) {
@@ -17,8 +27,8 @@ export class WebSocketTransport extends EventEmitter {
       }
     });
     
-    this.ws.on('close', () => {
-      this.emit('close');
+    this.ws.on('close', (code, reason) => {
+      this.emit('close', code, reason.toString());
     });
     
     this.ws.on('error', (error) => {
@@ -43,3 +53,206 @@ export class WebSocketTransport extends EventEmitter {
     this.ws.close();
   }
 }
+
+/**
+ * Transport for MCP servers of type WEBSOCKET, such as another
+ * websocket-mcp-proxy
+ * Messages travel as JSON text frames in both directions; the configured
+ * authentication headers go on the upgrade request. When the socket closes,
+ * pending requests fail and it is reopened with exponential backoff, from
+ * reconnect.initialDelayMs up to reconnect.maxDelayMs. Every new socket runs
+ * the handshake again.
+ *
+ * Events (besides those of RemoteTransport):
+ * - reconnecting ({ attempt, delay }): a reconnect has been scheduled
+ * - session: the handshake succeeded on a reopened socket
+ */
+export class WebSocketUpstreamTransport extends RemoteTransport {
+  constructor(config, options) {
+    super(config, options);
+    this.log = logger.child({ component: 'websocket-transport', server: config.name });
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...(config.reconnect || {}) };
+    this.socket = null;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.closing = false;
+  }
+
+  async connectTransport() {
+    this.closing = false;
+    try {
+      await this.openSocket();
+      await this.initialize();
+    } catch (error) {
+      this.lastError = error.message;
+      this.closeSocket();
+      this.scheduleReconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Open the socket, resolving once the upgrade succeeded.
+   */
+  openSocket() {
+    // The upgrade request carries no body
+    const { 'Content-Type': contentType, Accept: accept, ...headers } = this.headers;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url, SUBPROTOCOL, {
+        headers,
+        handshakeTimeout: this.connectTimeoutMs
+      });
+
+      ws.once('error', reject);
+      ws.once('open', () => {
+        ws.off('error', reject);
+        if (this.closing) {
+          ws.close();
+          reject(new Error('Transport disconnected'));
+          return;
+        }
+
+        const socket = new WebSocketTransport(ws);
+        socket.on('message', (message) => this.handleMessage(message));
+        socket.on('error', (error) => this.log.warn('WebSocket error', { error }));
+        socket.on('close', (code, reason) => this.handleClose(socket, code, reason));
+        this.socket = socket;
+        this.log.info('WebSocket opened');
+        resolve();
+      });
+    });
+  }
+
+  handleClose(socket, code, reason) {
+    if (socket !== this.socket) return;
+
+    const error = new Error(`WebSocket to ${this.config.name} closed (${code}${reason ? `: ${reason}` : ''})`);
+    this.log.warn('WebSocket closed; reconnecting', { code, reason });
+    this.socket = null;
+    this.protocolVersion = null;
+    this.lastError = error.message;
+    this.failPending(error);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) return;
+
+    const attempt = ++this.reconnectAttempt;
+    const delay = getBackoffDelay(attempt, this.reconnectOptions);
+    this.log.warn('Reconnecting', { attempt, delay, error: this.lastError });
+    this.emit('reconnecting', { attempt, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.openSocket();
+        await this.initialize();
+        if (this.closing) return;
+        this.lastError = null;
+        this.emit('session');
+      } catch (error) {
+        this.lastError = error.message;
+        this.log.warn('Reconnect failed', { attempt, error });
+        this.closeSocket();
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Run the MCP handshake on the current socket.
+   */
+  async initialize() {
+    let response;
+    try {
+      response = await this.request({
+        jsonrpc: '2.0',
+        id: `init-${++this.requestId}`,
+        method: 'initialize',
+        params: {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: CLIENT_INFO
+        }
+      }, AbortSignal.timeout(this.connectTimeoutMs));
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Initialize of ${this.config.name} timed out after ${this.connectTimeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (response.error) {
+      throw new Error(`Initialize failed: ${response.error.message}`);
+    }
+
+    ({ protocolVersion: this.protocolVersion, capabilities: this.capabilities, serverInfo: this.serverInfo } = response.result);
+    this.reconnectAttempt = 0;
+    await this.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    this.log.debug('Initialize request succeeded', { protocolVersion: this.protocolVersion });
+  }
+
+  async sendRequest(message, signal) {
+    // Requests wait for the handshake of a reopened socket
+    if (!this.protocolVersion) {
+      throw new Error(`Not connected to ${this.config.name}`);
+    }
+    return this.request(message, signal);
+  }
+
+  /**
+   * Send a request on the socket and wait for its response. The pending
+   * entry is registered first, since the response may arrive at any time.
+   */
+  async request(message, signal) {
+    if (!this.socket) {
+      throw new Error(`Not connected to ${this.config.name}`);
+    }
+
+    const answered = new Promise((resolve, reject) => {
+      this.pendingRequests.set(message.id, { resolve, reject });
+    });
+    // Only awaited once the message is sent
+    answered.catch(() => {});
+
+    const onAbort = () => {
+      const pending = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      pending?.reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      await this.socket.send(message);
+      return await answered;
+    } finally {
+      this.pendingRequests.delete(message.id);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async notify(message) {
+    if (!this.socket) {
+      throw new Error(`Not connected to ${this.config.name}`);
+    }
+    await this.socket.send(message);
+  }
+
+  closeSocket() {
+    const socket = this.socket;
+    this.socket = null;
+    this.protocolVersion = null;
+    socket?.close();
+  }
+
+  async disconnect() {
+    // No reconnect may start once the server is stopped
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.closeSocket();
+    await super.disconnect();
+  }
+}
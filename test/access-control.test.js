@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import { WebSocket, WebSocketServer } from 'ws';
+import { AccessControl, rejectUnauthorized, ToolPolicy } from '../src/access-control.js';
+
+function request({ url = '/', headers = {} } = {}) {
+  return { url, headers };
+}
+
+describe('AccessControl', () => {
+  test('allows everything when security is not configured', () => {
+    const accessControl = new AccessControl();
+    const result = accessControl.authenticate(request({ headers: { origin: 'https://evil.example' } }));
+    assert.strictEqual(result.allowed, true);
+  });
+  
+  test('rejects origins outside the allowlist with 403', () => {
+    const accessControl = new AccessControl({ allowedOrigins: ['https://myapp.com'] });
+    
+    assert.strictEqual(accessControl.authenticate(request({ headers: { origin: 'https://myapp.com' } })).allowed, true);
+    assert.strictEqual(accessControl.authenticate(request()).allowed, true);
+    
+    const result = accessControl.authenticate(request({ headers: { origin: 'https://evil.example' } }));
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.status, 403);
+  });
+  
+  test('accepts the API key from a header, subprotocol or query parameter', () => {
+    const accessControl = new AccessControl({ apiKey: 'secret' });
+    
+    const requests = [
+      request({ headers: { authorization: 'Bearer secret' } }),
+      request({ headers: { 'x-api-key': 'secret' } }),
+      request({ headers: { 'sec-websocket-protocol': 'mcp, mcp-api-key.secret' } }),
+      request({ url: '/?apiKey=secret' })
+    ];
+    
+    for (const req of requests) {
+      assert.strictEqual(accessControl.authenticate(req).allowed, true);
+    }
+  });
+  
+  test('rejects missing or wrong API keys with 401', () => {
+    const accessControl = new AccessControl({ apiKey: 'secret' });
+    
+    const missing = accessControl.authenticate(request());
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.reason, 'Missing API key');
+    
+    const wrong = accessControl.authenticate(request({ headers: { 'x-api-key': 'wrong' } }));
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.reason, 'Invalid API key');
+  });
+  
+  test('never echoes the API key subprotocol', () => {
+    const accessControl = new AccessControl({ apiKey: 'secret' });
+    assert.strictEqual(accessControl.selectProtocol(new Set(['mcp-api-key.secret', 'mcp'])), 'mcp');
+    assert.strictEqual(accessControl.selectProtocol(new Set(['mcp-api-key.secret'])), false);
+  });
+  
+  test('clients sending the API key subprotocol must offer a real one too', async () => {
+    const accessControl = new AccessControl({ apiKey: 'secret' });
+    const wss = new WebSocketServer({
+      port: 0,
+      verifyClient: ({ req }) => accessControl.authenticate(req).allowed,
+      handleProtocols: (protocols) => accessControl.selectProtocol(protocols)
+    });
+    await once(wss, 'listening');
+    const url = `ws://127.0.0.1:${wss.address().port}`;
+    
+    try {
+      const client = new WebSocket(url, ['mcp', 'mcp-api-key.secret']);
+      await once(client, 'open');
+      assert.strictEqual(client.protocol, 'mcp');
+      client.close();
+      
+      // Like browsers, ws rejects a handshake that selected no subprotocol
+      const keyOnly = new WebSocket(url, ['mcp-api-key.secret']);
+      const [error] = await once(keyOnly, 'error');
+      assert.match(error.message, /Server sent no subprotocol/);
+    } finally {
+      wss.close();
+    }
+  });
+  
+  test('maps per-client API keys to their credential', () => {
+    const accessControl = new AccessControl({
+      apiKey: 'shared',
+      clients: [
+        { name: 'team-a', apiKey: 'key-a', allow: ['github:*'] },
+        { name: 'team-b', apiKey: 'key-b' }
+      ]
+    });
+    
+    assert.strictEqual(accessControl.authenticate(request({ headers: { 'x-api-key': 'key-a' } })).client.name, 'team-a');
+    assert.strictEqual(accessControl.authenticate(request({ headers: { 'x-api-key': 'key-b' } })).client.name, 'team-b');
+    assert.strictEqual(accessControl.authenticate(request({ headers: { 'x-api-key': 'shared' } })).client.name, 'default');
+    assert.strictEqual(accessControl.authenticate(request({ headers: { 'x-api-key': 'nope' } })).status, 401);
+  });
+  
+  test('requires a key when only client credentials are configured', () => {
+    const accessControl = new AccessControl({ clients: [{ name: 'team-a', apiKey: 'key-a' }] });
+    assert.strictEqual(accessControl.authenticate(request()).status, 401);
+  });
+  
+  test('authenticates admin requests with the admin key from a header only', () => {
+    assert.strictEqual(new AccessControl().authenticateAdmin(request()).status, 404);
+    
+    const accessControl = new AccessControl({ apiKey: 'shared', adminApiKey: 'admin' });
+    assert.strictEqual(accessControl.authenticateAdmin(request({ headers: { authorization: 'Bearer admin' } })).allowed, true);
+    assert.strictEqual(accessControl.authenticateAdmin(request({ headers: { 'x-api-key': 'admin' } })).allowed, true);
+    assert.strictEqual(accessControl.authenticateAdmin(request({ url: '/admin/servers?apiKey=admin' })).status, 401);
+    assert.strictEqual(accessControl.authenticateAdmin(request({ headers: { 'x-api-key': 'shared' } })).status, 401);
+  });
+});
+
+describe('ToolPolicy', () => {
+  test('allows everything by default', () => {
+    assert.strictEqual(new ToolPolicy().isAllowed('github:create_issue'), true);
+  });
+  
+  test('applies allow patterns and lets deny patterns win', () => {
+    const policy = new ToolPolicy({
+      allow: ['github:*', 'linear:list_?ssues'],
+      deny: ['github:delete_*']
+    });
+    
+    assert.strictEqual(policy.isAllowed('github:create_issue'), true);
+    assert.strictEqual(policy.isAllowed('github:delete_repo'), false);
+    assert.strictEqual(policy.isAllowed('linear:list_issues'), true);
+    assert.strictEqual(policy.isAllowed('supabase:query'), false);
+  });
+});
+
+describe('rejectUnauthorized', () => {
+  test('adds the Bearer challenge to 401 responses only', () => {
+    const req = { ...request(), socket: { remoteAddress: '127.0.0.1' } };
+    const responses = [];
+
+    rejectUnauthorized(req, { allowed: false, status: 401, reason: 'Missing API key' }, 'HTTP', headers => responses.push(headers));
+    rejectUnauthorized(req, { allowed: false, status: 403, reason: 'Origin not allowed: x' }, 'HTTP', headers => responses.push(headers));
+
+    assert.deepStrictEqual(responses, [{ 'WWW-Authenticate': 'Bearer realm="websocket-mcp-proxy"' }, {}]);
+  });
+});
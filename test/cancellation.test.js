@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { HttpTransport } from '../src/http-transport.js';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+describe('Request cancellation', () => {
+  test('tracks forwarded requests by client request id and aborts them on cancellation', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const context = { inflightRequests: new Map() };
+    const clientCancel = new AbortController();
+
+    let upstreamSignal;
+    const pending = proxy.trackRequest(context, { id: 7, method: 'tools/call' }, { signal: clientCancel.signal }, 'search', (signal) => {
+      upstreamSignal = signal;
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    });
+
+    assert.deepStrictEqual([...context.inflightRequests.keys()], [7]);
+    assert.strictEqual(context.inflightRequests.get(7).server, 'search');
+
+    clientCancel.abort('user stop');
+    await assert.rejects(pending, (reason) => reason === 'user stop');
+    assert.strictEqual(upstreamSignal.aborted, true);
+    assert.strictEqual(context.inflightRequests.size, 0);
+  });
+
+  test('records the upstream request id and cancels that id upstream', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const config = { name: 'remote', type: 'STREAMABLE_HTTP', url: 'http://localhost:1/mcp' };
+    const transport = new HttpTransport(config);
+    Object.assign(transport, { connected: true, protocolVersion: '2024-11-05' });
+    // The server never answers
+    transport.sendHTTP = () => new Promise(() => {});
+    const sent = [];
+    transport.notify = async (message) => sent.push(message);
+    const mcpServer = {
+      server: { request: (request, options) => transport.send(request, options) },
+      transport,
+      config,
+      type: config.type
+    };
+
+    const context = { inflightRequests: new Map() };
+    const clientCancel = new AbortController();
+    const pending = proxy.trackRequest(context, { id: 7, method: 'tools/call' }, { signal: clientCancel.signal }, 'remote', (signal, onRequestId) =>
+      proxy.requestServer(mcpServer, 'tools/call', { name: 'slow' }, CallToolResultSchema, { signal, onRequestId })
+    );
+
+    const { upstreamId } = context.inflightRequests.get(7);
+    assert.match(upstreamId, /^tools\/call-\d+$/);
+    assert.deepStrictEqual([...transport.pendingRequests.keys()], [upstreamId]);
+
+    clientCancel.abort('user stop');
+    await assert.rejects(pending);
+    assert.deepStrictEqual(sent, [{
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: upstreamId, reason: 'user stop' }
+    }]);
+    assert.strictEqual(transport.pendingRequests.size, 0);
+    assert.strictEqual(context.inflightRequests.size, 0);
+  });
+
+  test('HTTP transport drops the pending request and notifies the server', async () => {
+    const transport = new HttpTransport({ name: 'remote', type: 'STREAMABLE_HTTP', url: 'http://localhost:1/mcp' });
+    const sent = [];
+    transport.notify = async (message) => sent.push(message);
+
+    const pending = new Promise((resolve, reject) => {
+      transport.pendingRequests.set('req-1', { resolve, reject });
+    });
+
+    transport.cancel('req-1', 'user stop');
+
+    await assert.rejects(pending, /Request cancelled/);
+    assert.strictEqual(transport.pendingRequests.size, 0);
+    assert.deepStrictEqual(sent, [{
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 'req-1', reason: 'user stop' }
+    }]);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { CircuitBreaker } from '../src/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3 });
+
+    breaker.recordFailure(new Error('rate limited'));
+    breaker.recordFailure(new Error('rate limited'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('rate limited'));
+    breaker.recordFailure(new Error('rate limited'));
+    assert.strictEqual(breaker.state, 'closed');
+
+    breaker.recordFailure(new Error('rate limited'));
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.isOpen(), true);
+    assert.strictEqual(breaker.getStatus().lastError, 'rate limited');
+  });
+
+  test('lets a single probe through once half-open', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure(new Error('down'));
+    breaker.openedAt -= 1000;
+
+    assert.strictEqual(breaker.isOpen(), false);
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.allowRequest(), true);
+  });
+
+  test('reopens when the probe fails and frees the probe on release', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeoutMs: 1000 });
+    for (let i = 0; i < 5; i++) breaker.recordFailure(new Error('down'));
+    breaker.openedAt -= 1000;
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.release();
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.recordFailure(new Error('still down'));
+
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.allowRequest(), false);
+  });
+
+  test('never opens when disabled', () => {
+    const breaker = new CircuitBreaker({ enabled: false, failureThreshold: 1 });
+    breaker.recordFailure(new Error('down'));
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.isOpen(), false);
+  });
+});
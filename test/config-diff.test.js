@@ -0,0 +1,32 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { diffServers } from '../src/config-diff.js';
+
+describe('diffServers', () => {
+  test('reports added, removed, changed and unchanged servers by name', () => {
+    const previous = [
+      { name: 'files', command: 'node', args: ['files.js'] },
+      { name: 'search', command: 'node', args: ['search.js'] },
+      { name: 'legacy', type: 'SSE', url: 'http://localhost:3000/sse' }
+    ];
+    const next = [
+      { name: 'files', command: 'node', args: ['files.js'] },
+      { name: 'search', command: 'node', args: ['search.js', '--verbose'] },
+      { name: 'github', command: 'npx', args: ['server-github'] }
+    ];
+
+    const diff = diffServers(previous, next);
+
+    assert.deepStrictEqual(diff.added.map(server => server.name), ['github']);
+    assert.deepStrictEqual(diff.removed.map(server => server.name), ['legacy']);
+    assert.deepStrictEqual(diff.changed.map(server => server.name), ['search']);
+    assert.deepStrictEqual(diff.unchanged.map(server => server.name), ['files']);
+  });
+
+  test('treats nested changes as changes', () => {
+    const previous = [{ name: 'files', command: 'node', env: { ROOT: '/a' } }];
+    const next = [{ name: 'files', command: 'node', env: { ROOT: '/b' } }];
+
+    assert.deepStrictEqual(diffServers(previous, next).changed, next);
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { stringify } from 'yaml';
+import MCPProxyServer from '../src/server.js';
+
+const SERVERS = [
+  { name: 'files', command: 'node', args: ['files.js'] },
+  { name: 'search', command: 'node', args: ['search.js'] }
+];
+
+describe('Config reload', () => {
+  let dir;
+  let configPath;
+  let proxy;
+  let started;
+  let stopped;
+  let notifications;
+  let closed;
+
+  const writeConfig = (servers, extra = {}) =>
+    writeFile(configPath, stringify({ proxy: { port: 8080 }, servers, logging: { level: 'error' }, ...extra }));
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'config-reload-test-'));
+    configPath = path.join(dir, 'config.yaml');
+    await writeConfig(SERVERS);
+
+    proxy = new MCPProxyServer(configPath);
+    started = [];
+    stopped = [];
+    notifications = [];
+    closed = false;
+    proxy.startServer = async (serverConfig) => { started.push(serverConfig.name); };
+    proxy.stopServer = async (name) => { stopped.push(name); };
+    proxy.clientConnections.set('client-1', {
+      server: { notification: async (notification) => { notifications.push(notification.method); } },
+      close: () => { closed = true; }
+    });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('restarts only changed servers and keeps client connections', async () => {
+    await writeConfig([
+      SERVERS[0],
+      { name: 'search', command: 'node', args: ['search.js', '--verbose'] },
+      { name: 'github', command: 'node', args: ['github.js'] }
+    ]);
+
+    assert.strictEqual(await proxy.reloadConfig(), true);
+
+    assert.deepStrictEqual(stopped, ['search']);
+    assert.deepStrictEqual(started.sort(), ['github', 'search']);
+    assert.deepStrictEqual(proxy.config.servers.map(server => server.name), ['files', 'search', 'github']);
+    assert.strictEqual(closed, false);
+    assert.deepStrictEqual(notifications, [
+      'notifications/tools/list_changed',
+      'notifications/resources/list_changed',
+      'notifications/prompts/list_changed'
+    ]);
+  });
+
+  test('sends no list_changed notification when no server changed', async () => {
+    await writeConfig(SERVERS, { health: { requiredServers: ['files'] } });
+
+    assert.strictEqual(await proxy.reloadConfig(), true);
+
+    assert.deepStrictEqual(proxy.healthMonitor.options.requiredServers, ['files']);
+    assert.deepStrictEqual([...started, ...stopped], []);
+    assert.deepStrictEqual(notifications, []);
+  });
+
+  test('rejects an invalid config and keeps the running one', async () => {
+    const previous = proxy.config;
+    await writeConfig([{ name: 'files' }]);
+
+    assert.strictEqual(await proxy.reloadConfig(), false);
+
+    assert.strictEqual(proxy.config, previous);
+    assert.deepStrictEqual([...started, ...stopped], []);
+    assert.strictEqual(closed, false);
+  });
+
+  test('keeps reloading after a reload failed', async () => {
+    proxy.stopServer = async () => { throw new Error('stop failed'); };
+    await writeConfig([SERVERS[0]]);
+    await assert.rejects(proxy.reloadConfig(), /stop failed/);
+
+    proxy.stopServer = async (name) => { stopped.push(name); };
+    await writeConfig([SERVERS[0], { name: 'github', command: 'node', args: ['github.js'] }]);
+
+    assert.strictEqual(await proxy.reloadConfig(), true);
+    assert.deepStrictEqual(started, ['github']);
+  });
+});
@@ -0,0 +1,46 @@
+// STDIO MCP server for tests. Advertises the capabilities named in the
+// first argument (comma-separated: tools, resources, prompts).
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+
+const enabled = new Set((process.argv[2] || 'tools').split(','));
+const capabilities = Object.fromEntries([...enabled].map(capability => [capability, {}]));
+
+const server = new Server({ name: 'echo', version: '1.0.0' }, { capabilities });
+
+if (enabled.has('tools')) {
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'echo', description: 'Echo the text back', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+    content: [{ type: 'text', text: `${request.params.arguments?.text} from ${process.pid}` }]
+  }));
+}
+
+if (enabled.has('resources')) {
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: [{ uri: 'echo://pid', name: 'pid' }]
+  }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [{ uri: request.params.uri, text: String(process.pid) }]
+  }));
+}
+
+if (enabled.has('prompts')) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: [{ name: 'greet' }]
+  }));
+  server.setRequestHandler(GetPromptRequestSchema, async () => ({
+    messages: [{ role: 'user', content: { type: 'text', text: 'Hello' } }]
+  }));
+}
+
+await server.connect(new StdioServerTransport());
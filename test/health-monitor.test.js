@@ -0,0 +1,148 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+/**
+ * Streamable HTTP server that answers initialize and nothing else
+ */
+async function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+      const message = JSON.parse(body);
+      if (message.method !== 'initialize') {
+        res.writeHead(202).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        id: message.id,
+        result: { protocolVersion: '2024-11-05', capabilities: {}, serverInfo: { name: 'fake', version: '1' } }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/mcp` };
+}
+
+async function addRemoteServer(proxy, serverConfig) {
+  proxy.config.servers.push(serverConfig);
+  await proxy.startHttpServer(serverConfig);
+}
+
+describe('HealthMonitor', () => {
+  test('a required remote server whose handshake failed is not ready', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    proxy.config.servers = [];
+    proxy.healthMonitor.configure({ requiredServers: ['down'] });
+    await addRemoteServer(proxy, {
+      name: 'down',
+      type: 'STREAMABLE_HTTP',
+      url: 'http://127.0.0.1:1/mcp',
+      timeouts: { connectMs: 1000 }
+    });
+    proxy.initialized = true;
+
+    try {
+      assert.deepStrictEqual(proxy.healthMonitor.getReadiness(), {
+        ready: false,
+        initialized: true,
+        requiredServers: ['down'],
+        missingServers: ['down']
+      });
+
+      const status = proxy.healthMonitor.getServerStatus(proxy.config.servers[0]);
+      assert.strictEqual(status.state, 'unavailable');
+      assert.strictEqual(status.connected, false);
+      assert.match(status.lastError, /fetch failed/);
+      assert.match(proxy.metrics.render(), /mcp_proxy_server_up\{server="down",type="STREAMABLE_HTTP"\} 0/);
+    } finally {
+      await proxy.mcpServers.get('down')?.transport.disconnect();
+    }
+  });
+
+  test('a required remote server with a session is ready', async () => {
+    const { server, url } = await startServer();
+    const proxy = new MCPProxyServer(configPath);
+    proxy.config.servers = [];
+    proxy.healthMonitor.configure({ requiredServers: ['up'] });
+    await addRemoteServer(proxy, { name: 'up', type: 'STREAMABLE_HTTP', url });
+    proxy.initialized = true;
+
+    try {
+      assert.strictEqual(proxy.healthMonitor.getReadiness().ready, true);
+      const status = proxy.healthMonitor.getServerStatus(proxy.config.servers[0]);
+      assert.strictEqual(status.state, 'running');
+      assert.strictEqual(status.connected, true);
+      assert.match(proxy.metrics.render(), /mcp_proxy_server_up\{server="up",type="STREAMABLE_HTTP"\} 1/);
+    } finally {
+      await proxy.mcpServers.get('up')?.transport.disconnect();
+      server.close();
+    }
+  });
+
+  test('counts the reconnects of a remote server as restarts', async () => {
+    const { server, url } = await startServer();
+    const proxy = new MCPProxyServer(configPath);
+    proxy.config.servers = [];
+    await addRemoteServer(proxy, { name: 'up', type: 'STREAMABLE_HTTP', url });
+    const { transport } = proxy.mcpServers.get('up');
+
+    try {
+      transport.emit('reconnecting', { attempt: 1, delay: 1000 });
+      assert.strictEqual(proxy.healthMonitor.getServerStatus(proxy.config.servers[0]).restarts, 1);
+      assert.match(proxy.metrics.render(), /mcp_proxy_server_restarts_total\{server="up"\} 1/);
+    } finally {
+      await proxy.stopServer('up');
+      server.close();
+    }
+  });
+
+  test('events of a stopped remote server are ignored', async () => {
+    const { server, url } = await startServer();
+    const proxy = new MCPProxyServer(configPath);
+    proxy.config.servers = [];
+    await addRemoteServer(proxy, { name: 'up', type: 'STREAMABLE_HTTP', url });
+    const { transport } = proxy.mcpServers.get('up');
+
+    try {
+      await proxy.stopServer('up');
+      assert.doesNotThrow(() => transport.emit('error', new Error('late')));
+      assert.doesNotThrow(() => transport.emit('reconnecting', { attempt: 1, delay: 1000 }));
+      assert.strictEqual(proxy.httpServerStatus.has('up'), false);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('a stopped WEBSOCKET server does not reconnect', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    proxy.config.servers = [];
+    await addRemoteServer(proxy, {
+      name: 'ws',
+      type: 'WEBSOCKET',
+      url: 'ws://127.0.0.1:1',
+      reconnect: { initialDelayMs: 10, maxDelayMs: 10 },
+      timeouts: { connectMs: 1000 }
+    });
+    const { transport } = proxy.mcpServers.get('ws');
+
+    await proxy.stopServer('ws');
+    assert.doesNotThrow(() => transport.emit('reconnecting', { attempt: 2, delay: 10 }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(transport.reconnectTimer, null);
+    assert.strictEqual(proxy.httpServerStatus.has('ws'), false);
+  });
+});
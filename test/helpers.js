@@ -0,0 +1,20 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MCPProxyServer from '../src/server.js';
+
+/**
+ * Minimal config for tests that build a proxy. Its single STDIO server is
+ * never started by the constructor.
+ */
+export const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+export function createProxy() {
+  return new MCPProxyServer(configPath);
+}
+
+/**
+ * Run the proxy's handler for a client request, as if a client had sent it
+ */
+export function handleRequest(proxy, method, params = {}) {
+  return proxy.server._requestHandlers.get(method)({ method, params }, { signal: new AbortController().signal });
+}
@@ -0,0 +1,212 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { HttpTransport, readEventStream } from '../src/http-transport.js';
+
+function bodyOf(...chunks) {
+  const encoder = new TextEncoder();
+  return (async function* () {
+    for (const chunk of chunks) yield encoder.encode(chunk);
+  })();
+}
+
+/**
+ * Minimal Streamable HTTP MCP server. Sessions can be expired with
+ * sessions.clear(); ping is answered on an event stream after a
+ * notification, slow only once release() is called. The GET stream is
+ * answered with streamStatus; streams records when it was requested.
+ */
+async function startServer({ streamStatus = 405 } = {}) {
+  const sessions = new Set();
+  const requests = [];
+  const streams = [];
+  const held = [];
+  let sessionCounter = 0;
+
+  const server = http.createServer((req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    requests.push({ method: req.method, sessionId, protocolVersion: req.headers['mcp-protocol-version'] });
+
+    if (req.method === 'GET') {
+      streams.push(Date.now());
+      res.writeHead(streamStatus).end();
+      return;
+    }
+    if (req.method === 'DELETE') {
+      sessions.delete(sessionId);
+      res.writeHead(204).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      requests.at(-1).rpcMethod = message.method;
+
+      if (message.method === 'initialize') {
+        const id = `session-${++sessionCounter}`;
+        sessions.add(id);
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': id });
+        res.end(JSON.stringify({
+          jsonrpc: '2.0',
+          id: message.id,
+          result: { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1' } }
+        }));
+        return;
+      }
+      if (!sessions.has(sessionId)) {
+        res.writeHead(404).end();
+        return;
+      }
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      if (message.method === 'slow') {
+        held.push(() => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} }));
+        });
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'working' } })}\n\n`);
+      res.end(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} })}\n\n`);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    sessions,
+    requests,
+    streams,
+    url: `http://127.0.0.1:${server.address().port}/mcp`,
+    release: () => held.splice(0).forEach(respond => respond())
+  };
+}
+
+describe('HTTP transport', () => {
+  test('parses event streams across chunks, line endings and multi-line data', async () => {
+    const events = [];
+    for await (const event of readEventStream(bodyOf(': comment\r\nid: 1\r\ndata: {"a":', '\r\ndata: 1}\r\n\r\nevent: end', 'point\ndata: /x\n\n'))) {
+      events.push(event);
+    }
+
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: '{"a":\n1}', id: '1' },
+      { event: 'endpoint', data: '/x', id: undefined }
+    ]);
+  });
+
+  test('keeps the session, reads streamed responses and initializes again after a 404', async () => {
+    const { server, sessions, requests, url } = await startServer();
+    const transport = new HttpTransport({ name: 'fake', type: 'STREAMABLE_HTTP', url }, { connectTimeoutMs: 2000 });
+    const notifications = [];
+    transport.on('message', message => notifications.push(message.method));
+    let renewed = 0;
+    transport.on('session', () => renewed++);
+
+    try {
+      await transport.connect();
+      assert.strictEqual(transport.sessionId, 'session-1');
+      assert.deepStrictEqual(transport.capabilities, { tools: {} });
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+      assert.deepStrictEqual(notifications, ['notifications/message']);
+
+      const ping = requests.find(request => request.rpcMethod === 'ping');
+      assert.strictEqual(ping.sessionId, 'session-1');
+      assert.strictEqual(ping.protocolVersion, '2024-11-05');
+
+      sessions.clear();
+      await transport.send({ jsonrpc: '2.0', id: 'ping-2', method: 'ping' });
+      assert.strictEqual(transport.sessionId, 'session-2');
+      assert.strictEqual(renewed, 1);
+
+      await transport.disconnect();
+      assert.deepStrictEqual(requests.at(-1), { method: 'DELETE', sessionId: 'session-2', protocolVersion: '2024-11-05' });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('counts requests as pending until their response has been read', async () => {
+    const { server, requests, url, release } = await startServer();
+    const transport = new HttpTransport({ name: 'fake', type: 'STREAMABLE_HTTP', url }, { connectTimeoutMs: 2000 });
+    transport.notify = async () => {};
+
+    try {
+      await transport.connect();
+      const first = transport.send({ jsonrpc: '2.0', id: 'slow-1', method: 'slow' });
+      const second = transport.send({ jsonrpc: '2.0', id: 'slow-2', method: 'slow' });
+      assert.strictEqual(transport.pendingRequests.size, 2);
+
+      transport.cancel('slow-2', 'user stop');
+      await assert.rejects(second, /Request cancelled/);
+      assert.strictEqual(transport.pendingRequests.size, 1);
+
+      while (requests.filter(request => request.rpcMethod === 'slow').length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      release();
+      assert.deepStrictEqual((await first).result, {});
+      assert.strictEqual(transport.pendingRequests.size, 0);
+    } finally {
+      await transport.disconnect();
+      server.close();
+    }
+  });
+
+  test('reopens a failing GET stream with the reconnect backoff and reports the failure', async () => {
+    const { server, streams, url } = await startServer({ streamStatus: 503 });
+    const transport = new HttpTransport(
+      { name: 'fake', type: 'STREAMABLE_HTTP', url, reconnect: { initialDelayMs: 30, maxDelayMs: 60 } },
+      { connectTimeoutMs: 2000 }
+    );
+    const errors = [];
+    transport.on('error', (error) => errors.push(error.message));
+
+    try {
+      await transport.connect();
+      while (streams.length < 3) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      assert.ok(streams[1] - streams[0] >= 25, `first delay was ${streams[1] - streams[0]}ms`);
+      assert.ok(streams[2] - streams[1] >= 55, `second delay was ${streams[2] - streams[1]}ms`);
+      assert.match(transport.lastError, /GET stream of fake failed: HTTP 503/);
+      assert.ok(errors.length >= 2);
+    } finally {
+      await transport.disconnect();
+      server.close();
+    }
+  });
+
+  test('does not reopen a GET stream the server rejected with a 4xx', async () => {
+    const { server, streams, url } = await startServer({ streamStatus: 403 });
+    const transport = new HttpTransport(
+      { name: 'fake', type: 'STREAMABLE_HTTP', url, reconnect: { initialDelayMs: 10, maxDelayMs: 10 } },
+      { connectTimeoutMs: 2000 }
+    );
+    const errors = [];
+    transport.on('error', (error) => errors.push(error.message));
+
+    try {
+      await transport.connect();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(streams.length, 1);
+      assert.deepStrictEqual(errors, ['GET stream of fake failed: HTTP 403 Forbidden']);
+      assert.strictEqual(transport.lastError, errors[0]);
+      assert.strictEqual(transport.isReady(), true);
+    } finally {
+      await transport.disconnect();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,124 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AccessControl } from '../src/access-control.js';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+/**
+ * Read SSE events from a fetch response body, one at a time.
+ */
+function eventReader(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return async function next() {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value);
+    }
+    const end = buffer.indexOf('\n\n');
+    const block = buffer.slice(0, end);
+    buffer = buffer.slice(end + 2);
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data };
+  };
+}
+
+/**
+ * Proxy with one HTTP server offering a "web" tool, served on /sse and
+ * /messages
+ */
+async function startEndpoint() {
+  const proxy = new MCPProxyServer(configPath);
+  proxy.mcpServers.set('search', { type: 'HTTP' });
+  proxy.requestServer = async () => ({ tools: [{ name: 'web', inputSchema: { type: 'object' } }] });
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/sse') proxy.legacySse.handleStream(req, res);
+    else proxy.legacySse.handleMessage(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { proxy, server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('Legacy HTTP+SSE endpoint', () => {
+  test('announces the message endpoint and answers posted requests on the stream', async () => {
+    const { proxy, server, base } = await startEndpoint();
+    const controller = new AbortController();
+
+    try {
+      const stream = await fetch(`${base}/sse`, { signal: controller.signal });
+      assert.strictEqual(stream.status, 200);
+      const next = eventReader(stream.body);
+
+      const endpoint = await next();
+      assert.strictEqual(endpoint.event, 'endpoint');
+      assert.match(endpoint.data, /^\/messages\?sessionId=/);
+      assert.strictEqual(proxy.clientConnections.size, 1);
+
+      const posted = await fetch(`${base}${endpoint.data}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+      assert.strictEqual(posted.status, 202);
+
+      const answer = JSON.parse((await next()).data);
+      assert.strictEqual(answer.id, 1);
+      assert.deepStrictEqual(answer.result.tools.map(tool => tool.name), ['search:web']);
+
+      const unknown = await fetch(`${base}/messages?sessionId=unknown`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+      assert.strictEqual(unknown.status, 404);
+    } finally {
+      controller.abort();
+      server.close();
+      server.closeAllConnections();
+    }
+  });
+
+  test('rejects posted messages without an API key when one is required', async () => {
+    const { proxy, server, base } = await startEndpoint();
+    proxy.accessControl = new AccessControl({ apiKey: 'secret' });
+    const controller = new AbortController();
+    const message = { jsonrpc: '2.0', id: 1, method: 'tools/list' };
+
+    try {
+      const stream = await fetch(`${base}/sse`, {
+        headers: { 'Authorization': 'Bearer secret' },
+        signal: controller.signal
+      });
+      assert.strictEqual(stream.status, 200);
+      const endpoint = await eventReader(stream.body)();
+
+      const anonymous = await fetch(`${base}${endpoint.data}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+      });
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer realm="websocket-mcp-proxy"');
+
+      const authenticated = await fetch(`${base}${endpoint.data}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer secret' },
+        body: JSON.stringify(message)
+      });
+      assert.strictEqual(authenticated.status, 202);
+    } finally {
+      controller.abort();
+      server.close();
+      server.closeAllConnections();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ListCache } from '../src/list-cache.js';
+import { createProxy, handleRequest } from './helpers.js';
+
+function listTools(proxy) {
+  return handleRequest(proxy, 'tools/list');
+}
+
+describe('ListCache', () => {
+  test('shares concurrent loads and reuses fresh entries', async () => {
+    const cache = new ListCache({ ttlMs: 60000 });
+    let fetches = 0;
+    const fetch = async () => [{ name: `tool-${++fetches}` }];
+
+    const [first, second] = await Promise.all([cache.load('search', fetch), cache.load('search', fetch)]);
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(await cache.load('search', fetch), [{ name: 'tool-1' }]);
+    assert.strictEqual(fetches, 1);
+  });
+
+  test('refetches after expiry or invalidation', async () => {
+    const cache = new ListCache({ ttlMs: 0 });
+    let fetches = 0;
+    const fetch = async () => [{ name: `tool-${++fetches}` }];
+
+    await cache.load('search', fetch);
+    await cache.load('search', fetch);
+    assert.strictEqual(fetches, 2);
+    assert.deepStrictEqual(cache.peek('search'), [{ name: 'tool-2' }]);
+
+    cache.ttlMs = 60000;
+    cache.invalidate('search');
+    assert.strictEqual(cache.peek('search'), null);
+    await cache.load('search', fetch);
+    assert.strictEqual(fetches, 3);
+  });
+
+  test('does not store a load that was started before an invalidation', async () => {
+    const cache = new ListCache({ ttlMs: 60000 });
+    let release;
+    const stale = cache.load('search', () => new Promise((resolve) => { release = resolve; }));
+
+    cache.invalidate('search');
+    release([{ name: 'old' }]);
+    await stale;
+
+    assert.strictEqual(cache.peek('search'), null);
+  });
+});
+
+describe('Aggregated tools/list', () => {
+  test('queries servers concurrently and returns partial results with warnings', async () => {
+    const proxy = createProxy();
+    proxy.config.proxy.listing = { deadlineMs: 50 };
+    proxy.mcpServers.set('fast', { type: 'HTTP' });
+    proxy.mcpServers.set('slow', { type: 'HTTP' });
+    proxy.mcpServers.set('broken', { type: 'HTTP' });
+
+    const started = [];
+    proxy.requestServer = async (mcpServer) => {
+      const name = [...proxy.mcpServers].find(([, server]) => server === mcpServer)[0];
+      started.push(name);
+      if (name === 'broken') throw new Error('connection refused');
+      if (name === 'slow') await new Promise(resolve => setTimeout(resolve, 100));
+      return { tools: [{ name: 'search', description: name }] };
+    };
+
+    const result = await listTools(proxy);
+    assert.deepStrictEqual(started, ['fast', 'slow', 'broken']);
+    assert.deepStrictEqual(result.tools.map(tool => tool.name), ['fast:search']);
+    assert.deepStrictEqual(result._meta.warnings, [
+      'Tools of server broken are not listed: connection refused',
+      'Tools of server slow are not listed: No answer within 50ms'
+    ]);
+
+    // The late answer still fills the cache for the next request
+    await new Promise(resolve => setTimeout(resolve, 100));
+    started.length = 0;
+    const next = await listTools(proxy);
+    assert.deepStrictEqual(next.tools.map(tool => tool.name), ['fast:search', 'slow:search']);
+    assert.deepStrictEqual(started, ['broken']);
+  });
+
+  test('refetches a server after it reports a tool list change', async () => {
+    const proxy = createProxy();
+    proxy.mcpServers.set('search', { type: 'HTTP' });
+    let version = 0;
+    proxy.requestServer = async () => ({ tools: [{ name: `v${++version}` }] });
+
+    assert.deepStrictEqual((await listTools(proxy)).tools.map(tool => tool.name), ['search:v1']);
+    assert.deepStrictEqual((await listTools(proxy)).tools.map(tool => tool.name), ['search:v1']);
+
+    await proxy.handleUpstreamNotification('search', { method: 'notifications/tools/list_changed' });
+    assert.deepStrictEqual((await listTools(proxy)).tools.map(tool => tool.name), ['search:v2']);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Logger } from '../src/logger.js';
+
+function capture(fn) {
+  const lines = [];
+  const write = (chunk) => {
+    lines.push(chunk.toString().trimEnd());
+    return true;
+  };
+  const stdout = process.stdout.write;
+  const stderr = process.stderr.write;
+  process.stdout.write = write;
+  process.stderr.write = write;
+  try {
+    fn();
+  } finally {
+    process.stdout.write = stdout;
+    process.stderr.write = stderr;
+  }
+  return lines;
+}
+
+describe('Logger', () => {
+  test('filters entries below the configured level', () => {
+    const logger = new Logger();
+    logger.configure({ level: 'warn' });
+    
+    const lines = capture(() => {
+      logger.info('hidden');
+      logger.debug('hidden');
+      logger.warn('shown');
+      logger.error('shown');
+    });
+    
+    assert.strictEqual(lines.length, 2);
+  });
+  
+  test('writes JSON lines with child context fields', () => {
+    const logger = new Logger();
+    logger.configure({ format: 'json' });
+    const child = logger.child({ server: 'github' }).child({ connectionId: 'abc' });
+    
+    const [line] = capture(() => child.info('Calling tool', { tool: 'create_issue', requestId: 7 }));
+    const entry = JSON.parse(line);
+    
+    assert.strictEqual(entry.level, 'info');
+    assert.strictEqual(entry.message, 'Calling tool');
+    assert.strictEqual(entry.server, 'github');
+    assert.strictEqual(entry.connectionId, 'abc');
+    assert.strictEqual(entry.tool, 'create_issue');
+    assert.strictEqual(entry.requestId, 7);
+  });
+  
+  test('redacts secret headers and configured keys', () => {
+    const logger = new Logger();
+    logger.configure({ format: 'json', redact: ['VAPI_TOKEN'] });
+    
+    const [line] = capture(() => logger.info('Connecting', {
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'xyz', Accept: 'application/json' },
+      env: { VAPI_TOKEN: 'secret' }
+    }));
+    const entry = JSON.parse(line);
+    
+    assert.strictEqual(entry.headers.Authorization, '[REDACTED]');
+    assert.strictEqual(entry.headers['X-API-Key'], '[REDACTED]');
+    assert.strictEqual(entry.headers.Accept, 'application/json');
+    assert.strictEqual(entry.env.VAPI_TOKEN, '[REDACTED]');
+  });
+  
+  test('serializes errors', () => {
+    const logger = new Logger();
+    logger.configure({ format: 'json' });
+    
+    const [line] = capture(() => logger.error('Failed', { error: new Error('boom') }));
+    assert.strictEqual(JSON.parse(line).error.message, 'boom');
+  });
+});
@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { MetricsRegistry } from '../src/metrics.js';
+
+describe('MetricsRegistry', () => {
+  test('renders counters with labels in Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const calls = registry.counter('tool_calls_total', 'Tool calls');
+    
+    calls.inc({ server: 'github', tool: 'create_issue' });
+    calls.inc({ server: 'github', tool: 'create_issue' });
+    calls.inc({ server: 'tavily', tool: 'search "web"' });
+    
+    const output = registry.render();
+    assert(output.includes('# TYPE tool_calls_total counter'));
+    assert(output.includes('tool_calls_total{server="github",tool="create_issue"} 2'));
+    assert(output.includes('tool_calls_total{server="tavily",tool="search \\"web\\""} 1'));
+  });
+  
+  test('reads collected gauges at render time', () => {
+    const registry = new MetricsRegistry();
+    let connections = 1;
+    registry.gauge('connections', 'Connections', {
+      collect: () => [{ labels: {}, value: connections }]
+    });
+    
+    connections = 3;
+    assert(registry.render().includes('connections 3'));
+  });
+  
+  test('renders cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    const duration = registry.histogram('duration_seconds', 'Duration', { buckets: [0.1, 1] });
+    
+    duration.observe({ tool: 'a' }, 0.05);
+    duration.observe({ tool: 'a' }, 0.5);
+    duration.observe({ tool: 'a' }, 5);
+    
+    const output = registry.render();
+    assert(output.includes('duration_seconds_bucket{tool="a",le="0.1"} 1'));
+    assert(output.includes('duration_seconds_bucket{tool="a",le="1"} 2'));
+    assert(output.includes('duration_seconds_bucket{tool="a",le="+Inf"} 3'));
+    assert(output.includes('duration_seconds_count{tool="a"} 3'));
+  });
+  
+  test('rejects duplicate metric names', () => {
+    const registry = new MetricsRegistry();
+    registry.gauge('up', 'Up');
+    assert.throws(() => registry.gauge('up', 'Up'), /already registered/);
+  });
+});
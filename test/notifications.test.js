@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ToolPolicy } from '../src/access-control.js';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+function connection(policy) {
+  const sent = [];
+  return {
+    sent,
+    client: policy ? { name: 'restricted', policy: new ToolPolicy(policy) } : null,
+    server: { notification: async (notification) => sent.push(notification) }
+  };
+}
+
+describe('Upstream notifications', () => {
+  test('routes progress to the handler registered for the request', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const updates = [];
+    proxy.progressHandlers.set('search:progress-1', (update) => updates.push(update));
+
+    await proxy.handleUpstreamNotification('search', {
+      method: 'notifications/progress',
+      params: { progressToken: 'progress-1', progress: 1, total: 4 }
+    });
+    await proxy.handleUpstreamNotification('other', {
+      method: 'notifications/progress',
+      params: { progressToken: 'progress-1', progress: 2, total: 4 }
+    });
+
+    assert.deepStrictEqual(updates, [{ progress: 1, total: 4 }]);
+  });
+
+  test('forwards log messages with a prefixed logger to connections that can see the server', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const open = connection();
+    const allowed = connection({ allow: ['search:*'] });
+    const denied = connection({ allow: ['files:*'] });
+    proxy.clientConnections.set('open', open);
+    proxy.clientConnections.set('allowed', allowed);
+    proxy.clientConnections.set('denied', denied);
+    proxy.toolCache.set('search', [{ name: 'web' }]);
+
+    await proxy.handleUpstreamNotification('search', {
+      method: 'notifications/message',
+      params: { level: 'info', logger: 'indexer', data: 'done' }
+    });
+
+    const expected = [{
+      method: 'notifications/message',
+      params: { level: 'info', logger: 'search:indexer', data: 'done' }
+    }];
+    assert.deepStrictEqual(open.sent, expected);
+    assert.deepStrictEqual(allowed.sent, expected);
+    assert.deepStrictEqual(denied.sent, []);
+  });
+
+  test('prefixes updated resource URIs', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const open = connection();
+    proxy.clientConnections.set('open', open);
+
+    await proxy.handleUpstreamNotification('files', {
+      method: 'notifications/resources/updated',
+      params: { uri: 'file:///tmp/a.txt' }
+    });
+
+    assert.deepStrictEqual(open.sent, [{
+      method: 'notifications/resources/updated',
+      params: { uri: 'files:file:///tmp/a.txt' }
+    }]);
+  });
+
+  test('sends resource and prompt changes only to connections that can see the server', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const allowed = connection({ allow: ['files:*'] });
+    const denied = connection({ allow: ['search:*'] });
+    proxy.clientConnections.set('allowed', allowed);
+    proxy.clientConnections.set('denied', denied);
+    proxy.toolCache.set('files', [{ name: 'read' }]);
+
+    await proxy.handleUpstreamNotification('files', { method: 'notifications/resources/list_changed' });
+    await proxy.handleUpstreamNotification('files', { method: 'notifications/prompts/list_changed' });
+    await proxy.handleUpstreamNotification('files', {
+      method: 'notifications/resources/updated',
+      params: { uri: 'file:///tmp/a.txt' }
+    });
+
+    assert.deepStrictEqual(allowed.sent.map(notification => notification.method), [
+      'notifications/resources/list_changed',
+      'notifications/prompts/list_changed',
+      'notifications/resources/updated'
+    ]);
+    assert.deepStrictEqual(denied.sent, []);
+  });
+});
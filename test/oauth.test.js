@@ -0,0 +1,215 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { HttpTransport } from '../src/http-transport.js';
+import { OAuthClient } from '../src/oauth.js';
+
+/**
+ * Authorization server and MCP server in one: /token issues numbered access
+ * tokens (and rotated refresh tokens), /mcp only accepts the newest access
+ * token and answers initialize and ping with JSON.
+ */
+async function startServer({ expiresIn = 3600, metadata = false } = {}) {
+  const tokenRequests = [];
+  const revoked = new Set();
+  let tokenCounter = 0;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (metadata && pathname === '/.well-known/oauth-protected-resource') {
+      json(200, { resource: `${base}/mcp`, authorization_servers: [`${base}/auth`] });
+      return;
+    }
+    if (metadata && pathname === '/.well-known/oauth-authorization-server/auth') {
+      json(200, { issuer: `${base}/auth`, token_endpoint: `${base}/auth/token` });
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (pathname.endsWith('/token')) {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        tokenRequests.push({ ...params, authorization: req.headers['authorization'] });
+        if (revoked.has(params.refresh_token)) {
+          json(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+          return;
+        }
+        tokenCounter++;
+        json(200, {
+          access_token: `access-${tokenCounter}`,
+          token_type: 'Bearer',
+          expires_in: expiresIn,
+          ...(params.grant_type === 'refresh_token' ? { refresh_token: `refresh-${tokenCounter}` } : {})
+        });
+        return;
+      }
+
+      if (req.headers['authorization'] !== `Bearer access-${tokenCounter}`) {
+        res.writeHead(401).end();
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+      const message = JSON.parse(body);
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+      const result = message.method === 'initialize'
+        ? { protocolVersion: '2024-11-05', capabilities: {}, serverInfo: { name: 'fake', version: '1' } }
+        : {};
+      json(200, { jsonrpc: '2.0', id: message.id, result });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    server,
+    tokenRequests,
+    revoked,
+    base,
+    expireTokens: () => { tokenCounter++; }
+  };
+}
+
+describe('OAuthClient', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'oauth-test-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('requests client credentials tokens and caches them on disk', async () => {
+    const { server, tokenRequests, base } = await startServer();
+    const config = {
+      name: 'remote',
+      url: `${base}/mcp`,
+      oauth: { tokenUrl: `${base}/token`, clientId: 'proxy', clientSecret: 's3cret', scope: 'mcp', tokenCache: path.join(dir, 'remote.json') }
+    };
+
+    try {
+      const client = new OAuthClient(config);
+      assert.strictEqual(await client.getAccessToken(), 'access-1');
+      assert.strictEqual(await client.getAccessToken(), 'access-1');
+      assert.deepStrictEqual(tokenRequests, [{
+        grant_type: 'client_credentials',
+        scope: 'mcp',
+        authorization: `Basic ${Buffer.from('proxy:s3cret').toString('base64')}`
+      }]);
+
+      const cached = JSON.parse(await readFile(config.oauth.tokenCache, 'utf8'));
+      assert.strictEqual(cached.accessToken, 'access-1');
+      assert.strictEqual((await stat(config.oauth.tokenCache)).mode & 0o777, 0o600);
+
+      // A restarted proxy reuses the cached token
+      assert.strictEqual(await new OAuthClient(config).getAccessToken(), 'access-1');
+      assert.strictEqual(tokenRequests.length, 1);
+
+      // ...unless it was issued for another client
+      const other = { ...config, oauth: { ...config.oauth, clientId: 'other' } };
+      assert.strictEqual(await new OAuthClient(other).getAccessToken(), 'access-2');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('requests a new token shortly before the current one expires', async () => {
+    const { server, tokenRequests, base } = await startServer({ expiresIn: 30 });
+    const client = new OAuthClient({
+      name: 'remote',
+      url: `${base}/mcp`,
+      oauth: { tokenUrl: `${base}/token`, clientId: 'proxy', clientSecret: 's3cret', tokenCache: path.join(dir, 'remote.json') }
+    });
+
+    try {
+      assert.strictEqual(await client.getAccessToken(), 'access-1');
+      // Expires within the default 60s refresh skew
+      assert.strictEqual(await client.getAccessToken(), 'access-2');
+      assert.strictEqual(tokenRequests.length, 2);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('uses rotated refresh tokens and falls back to the configured one', async () => {
+    const { server, tokenRequests, revoked, base } = await startServer();
+    const client = new OAuthClient({
+      name: 'remote',
+      url: `${base}/mcp`,
+      oauth: { tokenUrl: `${base}/token`, clientId: 'public', refreshToken: 'refresh-0', tokenCache: path.join(dir, 'remote.json') }
+    });
+
+    try {
+      assert.strictEqual(await client.getAccessToken(), 'access-1');
+      client.invalidate('access-1');
+      assert.strictEqual(await client.getAccessToken(), 'access-2');
+
+      revoked.add('refresh-2');
+      client.invalidate('access-2');
+      assert.strictEqual(await client.getAccessToken(), 'access-3');
+
+      assert.deepStrictEqual(tokenRequests.map(({ refresh_token: token }) => token), ['refresh-0', 'refresh-1', 'refresh-2', 'refresh-0']);
+      assert(tokenRequests.every(request => request.grant_type === 'refresh_token' && request.client_id === 'public'));
+    } finally {
+      server.close();
+    }
+  });
+
+  test('discovers the token endpoint from the server metadata', async () => {
+    const { server, tokenRequests, base } = await startServer({ metadata: true });
+    const client = new OAuthClient({
+      name: 'remote',
+      url: `${base}/mcp`,
+      oauth: { clientId: 'proxy', clientSecret: 's3cret', tokenCache: path.join(dir, 'remote.json') }
+    });
+
+    try {
+      assert.strictEqual(await client.getAccessToken(), 'access-1');
+      assert.strictEqual(client.tokenUrl, `${base}/auth/token`);
+      assert.strictEqual(tokenRequests.length, 1);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('HTTP transport retries once with a new token when the server answers 401', async () => {
+    const { server, tokenRequests, base, expireTokens } = await startServer();
+    const transport = new HttpTransport({
+      name: 'remote',
+      type: 'STREAMABLE_HTTP',
+      url: `${base}/mcp`,
+      oauth: { tokenUrl: `${base}/token`, clientId: 'proxy', clientSecret: 's3cret', tokenCache: path.join(dir, 'remote.json') }
+    }, { connectTimeoutMs: 2000 });
+
+    try {
+      await transport.connect();
+      assert.strictEqual(transport.lastError, null);
+
+      // The server stops accepting the token before it expires
+      expireTokens();
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+      assert.strictEqual(transport.headers['Authorization'], 'Bearer access-3');
+      assert.strictEqual(tokenRequests.length, 2);
+    } finally {
+      await transport.disconnect();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { collectPages, decodeCursor, encodeCursor, paginate } from '../src/pagination.js';
+import { createProxy, handleRequest } from './helpers.js';
+
+describe('Pagination', () => {
+  test('follows upstream cursors until the list is complete', async () => {
+    const pages = {
+      start: { tools: [{ name: 'a' }], nextCursor: 'p2' },
+      p2: { tools: [{ name: 'b' }], nextCursor: 'p3' },
+      p3: { tools: [{ name: 'c' }] }
+    };
+    const requested = [];
+
+    const tools = await collectPages(async (cursor) => {
+      requested.push(cursor);
+      return pages[cursor ?? 'start'];
+    }, 'tools');
+
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['a', 'b', 'c']);
+    assert.deepStrictEqual(requested, [undefined, 'p2', 'p3']);
+  });
+
+  test('stops when an upstream repeats a cursor', async () => {
+    let calls = 0;
+    const tools = await collectPages(async () => ({ tools: [{ name: `t${++calls}` }], nextCursor: 'same' }), 'tools');
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['t1', 't2']);
+  });
+
+  test('pages through a merged list with opaque cursors', () => {
+    const items = [1, 2, 3, 4, 5];
+
+    const first = paginate(items, undefined, 2);
+    assert.deepStrictEqual(first.items, [1, 2]);
+    const second = paginate(items, first.nextCursor, 2);
+    assert.deepStrictEqual(second.items, [3, 4]);
+    const last = paginate(items, second.nextCursor, 2);
+    assert.deepStrictEqual(last.items, [5]);
+    assert.strictEqual(last.nextCursor, undefined);
+
+    assert.deepStrictEqual(paginate(items, undefined, 0), { items });
+    assert.strictEqual(decodeCursor(encodeCursor(4)), 4);
+    assert.throws(() => paginate(items, 'not-a-cursor', 2), /Invalid cursor/);
+  });
+
+  test('tools/list merges every upstream page and pages the result for clients', async () => {
+    const proxy = createProxy();
+    proxy.config.proxy.listing = { pageSize: 2 };
+    proxy.mcpServers.set('search', { type: 'HTTP' });
+    proxy.requestServer = async (mcpServer, method, params) => params.cursor
+      ? { tools: [{ name: 'news' }, { name: 'images' }] }
+      : { tools: [{ name: 'web' }], nextCursor: 'more' };
+
+    const listTools = (params) => handleRequest(proxy, 'tools/list', params);
+
+    const first = await listTools({});
+    assert.deepStrictEqual(first.tools.map(tool => tool.name), ['search:web', 'search:news']);
+    const second = await listTools({ cursor: first.nextCursor });
+    assert.deepStrictEqual(second.tools.map(tool => tool.name), ['search:images']);
+    assert.strictEqual(second.nextCursor, undefined);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createProxy, handleRequest } from './helpers.js';
+
+function createPromptProxy() {
+  const proxy = createProxy();
+  const requests = [];
+  proxy.mcpServers.set('github', { type: 'STDIO', config: { name: 'github' }, capabilities: { prompts: {} } });
+  proxy.mcpServers.set('files', { type: 'STDIO', config: { name: 'files' }, capabilities: { resources: {} } });
+  proxy.mcpServers.set('linear', { type: 'HTTP', config: { name: 'linear' } });
+
+  proxy.requestServer = async (mcpServer, method, params) => {
+    requests.push({ server: mcpServer.config.name, method, params });
+    if (method === 'prompts/list') {
+      return { prompts: [{ name: 'review:pr', description: 'Review a pull request', arguments: [{ name: 'number' }] }] };
+    }
+    return { messages: [{ role: 'user', content: { type: 'text', text: `Review #${params.arguments.number}` } }] };
+  };
+
+  return { proxy, requests };
+}
+
+describe('Prompts', () => {
+  test('lists prompts of servers with the capability under serverName: names', async () => {
+    const { proxy, requests } = createPromptProxy();
+
+    const { prompts } = await handleRequest(proxy, 'prompts/list');
+
+    assert.deepStrictEqual(prompts.map(prompt => prompt.name), ['github:review:pr', 'linear:review:pr']);
+    assert.strictEqual(prompts[0].description, '[github] Review a pull request');
+    assert.deepStrictEqual(prompts[0].arguments, [{ name: 'number' }]);
+    // files did not advertise prompts
+    assert.deepStrictEqual(requests.map(({ server }) => server), ['github', 'linear']);
+  });
+
+  test('forwards prompts/get with its arguments to the owning server', async () => {
+    const { proxy, requests } = createPromptProxy();
+
+    const result = await handleRequest(proxy, 'prompts/get', { name: 'linear:review:pr', arguments: { number: '42' } });
+
+    assert.deepStrictEqual(requests, [{
+      server: 'linear',
+      method: 'prompts/get',
+      params: { name: 'review:pr', arguments: { number: '42' } }
+    }]);
+    assert.strictEqual(result.messages[0].content.text, 'Review #42');
+  });
+
+  test('rejects prompt names without a known server prefix', async () => {
+    const { proxy, requests } = createPromptProxy();
+
+    await assert.rejects(handleRequest(proxy, 'prompts/get', { name: 'review' }), /Invalid promptName format: review/);
+    await assert.rejects(handleRequest(proxy, 'prompts/get', { name: 'jira:review' }), /MCP server not found: jira/);
+    assert.deepStrictEqual(requests, []);
+  });
+});
@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createProxy, handleRequest } from './helpers.js';
+
+function createResourceProxy() {
+  const proxy = createProxy();
+  const requests = [];
+  proxy.mcpServers.set('files', { type: 'STDIO', config: { name: 'files' }, capabilities: { resources: {} } });
+  proxy.mcpServers.set('search', { type: 'STDIO', config: { name: 'search' }, capabilities: { tools: {} } });
+  proxy.mcpServers.set('docs', { type: 'HTTP', config: { name: 'docs' } });
+
+  proxy.requestServer = async (mcpServer, method, params) => {
+    requests.push({ server: mcpServer.config.name, method, params });
+    switch (method) {
+      case 'resources/list':
+        if (mcpServer.config.name === 'docs') throw new Error('docs is down');
+        return { resources: [{ uri: 'file:///notes/a:b.md', name: 'notes' }] };
+      case 'resources/templates/list':
+        return { resourceTemplates: [{ uriTemplate: 'file:///{path}', name: 'file', description: 'A file' }] };
+      case 'resources/read':
+        return { contents: [{ uri: params.uri, text: 'hello' }] };
+    }
+  };
+
+  return { proxy, requests };
+}
+
+describe('Resources', () => {
+  test('lists resources of servers with the capability under serverName: URIs', async () => {
+    const { proxy, requests } = createResourceProxy();
+
+    const { resources } = await handleRequest(proxy, 'resources/list');
+
+    assert.deepStrictEqual(resources, [
+      { uri: 'files:file:///notes/a:b.md', name: 'notes', description: '[files] ' }
+    ]);
+    // search did not advertise resources; docs failed and is left out
+    assert.deepStrictEqual(requests.map(({ server }) => server), ['files', 'docs']);
+  });
+
+  test('prefixes resource templates', async () => {
+    const { proxy } = createResourceProxy();
+
+    const { resourceTemplates } = await handleRequest(proxy, 'resources/templates/list');
+
+    assert.deepStrictEqual(resourceTemplates.map(template => template.uriTemplate), ['files:file:///{path}', 'docs:file:///{path}']);
+    assert.strictEqual(resourceTemplates[0].description, '[files] A file');
+  });
+
+  test('routes reads on the first colon and keeps returned URIs namespaced', async () => {
+    const { proxy, requests } = createResourceProxy();
+
+    const result = await handleRequest(proxy, 'resources/read', { uri: 'files:file:///notes/a:b.md' });
+
+    assert.deepStrictEqual(requests, [{ server: 'files', method: 'resources/read', params: { uri: 'file:///notes/a:b.md' } }]);
+    assert.deepStrictEqual(result.contents, [{ uri: 'files:file:///notes/a:b.md', text: 'hello' }]);
+  });
+
+  test('rejects reads without a known server prefix', async () => {
+    const { proxy, requests } = createResourceProxy();
+
+    await assert.rejects(handleRequest(proxy, 'resources/read', { uri: 'nowhere' }), /Invalid uri format: nowhere/);
+    await assert.rejects(handleRequest(proxy, 'resources/read', { uri: 'missing:file:///a' }), /MCP server not found: missing/);
+    assert.deepStrictEqual(requests, []);
+  });
+});
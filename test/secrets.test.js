@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HttpTransport } from '../src/http-transport.js';
+import { findSecretReferences, resolveSecrets } from '../src/secrets.js';
+
+describe('Secret references', () => {
+  let dir;
+  let secretsFile;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'secrets-test-'));
+    secretsFile = path.join(dir, 'secrets.yaml');
+    await writeFile(secretsFile, 'workspace: acme\nlinear: lin_api_123\nport: 8443\n');
+    await writeFile(path.join(dir, 'token'), 'mounted-token\n');
+    await writeFile(path.join(dir, 'broken'), 'first\nsecond\n');
+    process.env.SECRETS_TEST_KEY = 'from-env';
+  });
+
+  after(async () => {
+    delete process.env.SECRETS_TEST_KEY;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('finds references', () => {
+    assert.deepStrictEqual(findSecretReferences('Bearer ${file:/run/secrets/token} ${NAME}'), [
+      { reference: '${file:/run/secrets/token}', source: 'file', name: '/run/secrets/token' }
+    ]);
+  });
+
+  test('resolves env, file and secrets file references', () => {
+    const value = '${env:SECRETS_TEST_KEY}|${file:' + dir + '/token}|${secret:workspace}|${secret:port}';
+    assert.strictEqual(resolveSecrets(value, { secretsFile }), 'from-env|mounted-token|acme|8443');
+    assert.strictEqual(resolveSecrets('no references'), 'no references');
+  });
+
+  test('fails on missing secrets without revealing values', () => {
+    assert.throws(() => resolveSecrets('${env:SECRETS_TEST_MISSING}'), /Environment variable SECRETS_TEST_MISSING is not set/);
+    assert.throws(() => resolveSecrets('${file:' + dir + '/missing}'), /Cannot read secret file .*missing: ENOENT/);
+    assert.throws(() => resolveSecrets('${secret:other}', { secretsFile }), /Secret other is not defined in/);
+    assert.throws(() => resolveSecrets('${secret:linear}'), /Secret references need security.secretsFile/);
+
+    const reference = '${file:' + dir + '/broken}';
+    assert.throws(() => resolveSecrets(reference), (error) => {
+      assert.strictEqual(error.message, `Secret ${reference} contains a line break`);
+      return true;
+    });
+  });
+
+  test('HTTP transports build headers from the headers map', () => {
+    const transport = new HttpTransport({
+      name: 'remote',
+      type: 'STREAMABLE_HTTP',
+      url: 'https://mcp.example.com/mcp',
+      bearerToken: '${secret:linear}',
+      headers: {
+        'X-Workspace': '${secret:workspace}',
+        'user-agent': 'custom-agent',
+        'X-Token': '${env:SECRETS_TEST_KEY}'
+      },
+      env: { 'X-Header-Leak': 'process-only' }
+    }, { secretsFile });
+
+    assert.deepStrictEqual(transport.headers, {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Authorization': 'Bearer lin_api_123',
+      'X-Workspace': 'acme',
+      'user-agent': 'custom-agent',
+      'X-Token': 'from-env'
+    });
+  });
+
+  test('HTTP transports refuse unset environment variables', () => {
+    assert.throws(
+      () => new HttpTransport({
+        name: 'remote',
+        type: 'STREAMABLE_HTTP',
+        url: 'https://mcp.example.com/mcp',
+        headers: { 'X-Token': 'Token ${SECRETS_TEST_UNSET}' }
+      }),
+      /headers\["X-Token"\] references \$\{SECRETS_TEST_UNSET\}, which is not set/
+    );
+  });
+});
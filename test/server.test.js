@@ -1,6 +1,9 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
+import { AccessControl } from '../src/access-control.js';
 import { ConfigValidator } from '../src/config-validator.js';
+import { StdioSupervisor } from '../src/stdio-supervisor.js';
+import { createProxy } from './helpers.js';
 
 describe('ConfigValidator', () => {
   test('validates valid configuration', () => {
@@ -71,6 +74,234 @@ describe('ConfigValidator', () => {
     assert(result.errors.some(error => error.includes('cannot contain colons')));
   });
   
+  test('validates restart policy for STDIO servers', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        host: 'localhost'
+      },
+      servers: [
+        { name: 'valid', command: 'node', restart: { policy: 'always', maxRestarts: 3 } },
+        { name: 'invalid', command: 'node', restart: { policy: 'sometimes', windowMs: -1 } }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 2);
+    assert(result.errors.some(error => error.includes('servers[1]: Invalid restart.policy')));
+    assert(result.errors.some(error => error.includes('restart.windowMs')));
+  });
+  
+  test('validates WEBSOCKET servers', () => {
+    const config = {
+      proxy: { port: 8080 },
+      servers: [
+        { name: 'valid', type: 'WEBSOCKET', url: 'wss://proxy.example.com', reconnect: { maxDelayMs: 60000 } },
+        { name: 'http', type: 'WEBSOCKET', url: 'https://proxy.example.com' },
+        { name: 'backoff', type: 'WEBSOCKET', url: 'ws://localhost:8080', reconnect: { initialDelayMs: 0, retries: 3 } },
+        { name: 'stream', type: 'STREAMABLE_HTTP', url: 'https://api.example.com/mcp', reconnect: { maxDelayMs: -1 } }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'servers[1]: url of a WEBSOCKET server must use ws:// or wss://',
+      'servers[2]: reconnect.initialDelayMs must be a positive number of milliseconds',
+      'servers[2]: Unknown reconnect option "retries". Must be one of: initialDelayMs, maxDelayMs',
+      'servers[3]: reconnect.maxDelayMs must be a positive number of milliseconds'
+    ]);
+  });
+  
+  test('validates OAuth settings', () => {
+    const config = {
+      proxy: { port: 8080 },
+      servers: [
+        { name: 'linear', type: 'SSE', url: 'https://mcp.linear.app/sse', oauth: { clientId: 'proxy', refreshToken: 'abc' } },
+        { name: 'machine', type: 'STREAMABLE_HTTP', url: 'https://mcp.example.com/mcp', oauth: { clientId: 'proxy', tokenUrl: 'not a url' } },
+        { name: 'static', type: 'STREAMABLE_HTTP', url: 'https://mcp.example.com/mcp', bearerToken: 'x', oauth: { clientId: 'proxy', clientSecret: 'y' } },
+        { name: 'edge', type: 'WEBSOCKET', url: 'wss://edge.example.com', oauth: { clientId: 'proxy', clientSecret: 'y' } }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'servers[1]: oauth.clientSecret is required for the client_credentials grant',
+      'servers[1]: Invalid URL format for oauth.tokenUrl',
+      'servers[2]: bearerToken cannot be combined with oauth',
+      'servers[3]: oauth is only supported for SSE and STREAMABLE_HTTP servers'
+    ]);
+  });
+  
+  test('validates headers and secret references', () => {
+    const config = {
+      proxy: { port: 8080 },
+      servers: [
+        { name: 'valid', type: 'SSE', url: 'https://mcp.example.com/sse', headers: { 'X-Workspace': '${file:/run/secrets/workspace}' } },
+        { name: 'names', type: 'STREAMABLE_HTTP', url: 'https://mcp.example.com/mcp', headers: { 'Bad Header': 'x', 'X-Split': 'a\r\nb', 'X-Object': {} } },
+        { name: 'refs', type: 'STREAMABLE_HTTP', url: 'https://mcp.example.com/mcp', bearerToken: '${secret:token}', headers: { 'X-Key': '${env:}' } },
+        { name: 'stdio', command: 'node', headers: { 'X-Workspace': 'acme' } }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'servers[1]: Invalid header name "Bad Header"',
+      'servers[1]: headers["X-Split"] must not contain line breaks',
+      'servers[1]: headers["X-Object"] must be a string',
+      'servers[2]: headers["X-Key"]: ${env:} does not name a secret',
+      'servers[3]: headers are only supported for SSE, STREAMABLE_HTTP and WEBSOCKET servers',
+      'servers[2]: bearerToken references a secret but security.secretsFile is not set'
+    ]);
+  });
+  
+  test('validates security configuration', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        host: 'localhost'
+      },
+      servers: [],
+      security: {
+        allowedOrigins: ['https://myapp.com', 'https://myapp.com/path', 42],
+        apiKey: '${UNSET_API_KEY}'
+      }
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 3);
+    assert(result.errors.some(error => error.includes('allowedOrigins[1]')));
+    assert(result.errors.some(error => error.includes('allowedOrigins[2] must be a string')));
+    assert(result.errors.some(error => error.includes('security.apiKey')));
+  });
+  
+  test('validates client credentials', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        host: 'localhost'
+      },
+      servers: [],
+      security: {
+        clients: [
+          { name: 'team-a', apiKey: 'key-a', allow: ['github:*'], deny: ['github:delete_*'] },
+          { name: 'team-a', apiKey: 'key-a', allow: 'github:*' }
+        ]
+      }
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 3);
+    assert(result.errors.some(error => error.includes('security.clients[1]: allow must be an array')));
+    assert(result.errors.some(error => error.includes('Duplicate client names found: team-a')));
+    assert(result.errors.some(error => error.includes('API keys must be unique')));
+  });
+  
+  test('validates logging configuration', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        host: 'localhost'
+      },
+      servers: [],
+      logging: {
+        level: 'verbose',
+        format: 'json'
+      }
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 1);
+    assert(result.errors[0].includes('Invalid logging.level "verbose"'));
+  });
+  
+  test('validates health configuration', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        host: 'localhost'
+      },
+      servers: [
+        { name: 'github', command: 'npx' }
+      ],
+      health: {
+        requiredServers: ['github', 'linear'],
+        pingIntervalMs: 0
+      }
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.errors.length, 2);
+    assert(result.errors.some(error => error.includes('unknown servers: linear')));
+    assert(result.errors.some(error => error.includes('health.pingIntervalMs')));
+  });
+  
+  test('validates timeouts', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        timeouts: { requestMs: 10000, toolsCallMs: 5000, tools: {} }
+      },
+      servers: [
+        {
+          name: 'firecrawl',
+          command: 'npx',
+          timeouts: { toolCallMs: -1, tools: { 'crawl_*': 600000, 'scrape': 'slow' } }
+        }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'proxy.timeouts: Unknown timeout "toolsCallMs". Must be one of: connectMs, requestMs, toolCallMs',
+      'proxy.timeouts: Unknown timeout "tools". Must be one of: connectMs, requestMs, toolCallMs',
+      'servers[0].timeouts.toolCallMs must be a positive number of milliseconds',
+      'servers[0].timeouts.tools["scrape"] must be a positive number of milliseconds'
+    ]);
+  });
+  
+  test('validates circuit breaker settings', () => {
+    const config = {
+      proxy: {
+        port: 8080,
+        circuitBreaker: { failureThreshold: 0 }
+      },
+      servers: [
+        { name: 'tavily', command: 'npx', circuitBreaker: { enabled: 'yes', resetTimeoutMs: 10000 } }
+      ]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'proxy.circuitBreaker.failureThreshold must be a positive integer',
+      'servers[0].circuitBreaker.enabled must be a boolean'
+    ]);
+  });
+  
+  test('validates listing settings', () => {
+    const config = {
+      proxy: { port: 8080, listing: { deadlineMs: 0, cacheTtlMs: -1, pageSize: 2.5 } },
+      servers: [{ name: 'tavily', command: 'npx' }]
+    };
+    
+    const result = ConfigValidator.validate(config);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(result.errors, [
+      'proxy.listing.deadlineMs must be a positive number',
+      'proxy.listing.cacheTtlMs must be a non-negative number',
+      'proxy.listing.pageSize must be a non-negative integer'
+    ]);
+  });
+  
   test('expands environment variables', () => {
     process.env.TEST_VAR = 'test-value';
     
@@ -92,3 +323,61 @@ describe('ConfigValidator', () => {
     delete process.env.TEST_VAR;
   });
 });
+
+describe('Server logs endpoint', () => {
+  /**
+   * GET /servers/:name/logs and return the status, headers and parsed body
+   */
+  function getLogs(proxy, name, { query = '', headers = {} } = {}) {
+    const req = { method: 'GET', url: `/servers/${name}/logs${query}`, headers, socket: { remoteAddress: '127.0.0.1' } };
+    const res = {
+      writeHead(status, responseHeaders) { Object.assign(this, { status, headers: responseHeaders }); },
+      end(body) { this.body = JSON.parse(body); }
+    };
+    proxy.handleServerLogs(req, res, name);
+    return res;
+  }
+
+  function createLoggingProxy() {
+    const proxy = createProxy();
+    const supervisor = new StdioSupervisor({ name: 'fs', command: 'node', stderrBufferSize: 3 });
+    supervisor.log.info = () => {};
+    for (let i = 1; i <= 4; i++) {
+      supervisor.handleStderr(`line ${i}`);
+    }
+    proxy.supervisors.set('fs', supervisor);
+    proxy.mcpServers.set('remote', { type: 'STREAMABLE_HTTP' });
+    return proxy;
+  }
+
+  test('returns the recent stderr lines of a STDIO server', () => {
+    const proxy = createLoggingProxy();
+
+    const all = getLogs(proxy, 'fs');
+    assert.strictEqual(all.status, 200);
+    assert.strictEqual(all.body.server, 'fs');
+    assert.strictEqual(all.body.state, 'idle');
+    assert.deepStrictEqual(all.body.lines.map(entry => entry.line), ['line 2', 'line 3', 'line 4']);
+
+    const last = getLogs(proxy, 'fs', { query: '?limit=1' });
+    assert.deepStrictEqual(last.body.lines.map(entry => entry.line), ['line 4']);
+  });
+
+  test('answers 404 for remote and unknown servers', () => {
+    const proxy = createLoggingProxy();
+
+    assert.strictEqual(getLogs(proxy, 'remote').status, 404);
+    assert.deepStrictEqual(getLogs(proxy, 'missing').body, { error: 'No logs available for server: missing' });
+  });
+
+  test('requires the client API key when one is configured', () => {
+    const proxy = createLoggingProxy();
+    proxy.accessControl = new AccessControl({ apiKey: 'secret' });
+
+    const anonymous = getLogs(proxy, 'fs');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.headers['WWW-Authenticate'], 'Bearer realm="websocket-mcp-proxy"');
+    assert.strictEqual(getLogs(proxy, 'fs', { headers: { 'x-api-key': 'wrong' } }).status, 401);
+    assert.strictEqual(getLogs(proxy, 'fs', { headers: { 'x-api-key': 'secret' } }).status, 200);
+  });
+});
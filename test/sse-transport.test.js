@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { SseTransport } from '../src/sse-transport.js';
+
+/**
+ * Minimal HTTP+SSE MCP server: every stream gets its own session endpoint,
+ * initialize and ping are answered on the stream, and "hang" never is. The
+ * first failedInitializes initialize requests get an error.
+ */
+async function startServer({ failedInitializes = 0 } = {}) {
+  const sessions = new Map();
+  const received = [];
+  let sessionCounter = 0;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const sessionId = String(++sessionCounter);
+      sessions.set(sessionId, res);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const stream = sessions.get(url.searchParams.get('sessionId'));
+      if (!stream) {
+        res.writeHead(404).end();
+        return;
+      }
+      const message = JSON.parse(body);
+      received.push({ session: url.searchParams.get('sessionId'), method: message.method });
+      res.writeHead(202).end();
+
+      if (message.method === 'initialize' && failedInitializes > 0) {
+        failedInitializes--;
+        stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, error: { code: -32603, message: 'Not ready' } })}\n\n`);
+        return;
+      }
+      const result = message.method === 'initialize'
+        ? { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1' } }
+        : message.method === 'ping' ? {} : null;
+      if (result) {
+        stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result })}\n\n`);
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, sessions, received, url: `http://127.0.0.1:${server.address().port}/sse` };
+}
+
+describe('SSE transport', () => {
+  test('discovers the endpoint, initializes and answers requests from the stream', async () => {
+    const { server, received, url } = await startServer();
+    const transport = new SseTransport({ name: 'fake', type: 'SSE', url }, { connectTimeoutMs: 2000 });
+
+    try {
+      await transport.connect();
+      assert.strictEqual(transport.lastError, null);
+      assert.strictEqual(transport.getPostUrl(), url.replace('/sse', '/messages?sessionId=1'));
+      assert.deepStrictEqual(transport.capabilities, { tools: {} });
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+      assert.deepStrictEqual(received.map(({ method }) => method), ['initialize', 'notifications/initialized', 'ping']);
+    } finally {
+      await transport.disconnect();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('fails pending requests and initializes again when the server replaces the session', async () => {
+    const { server, sessions, received, url } = await startServer();
+    const transport = new SseTransport({ name: 'fake', type: 'SSE', url }, { connectTimeoutMs: 2000 });
+    transport.on('error', () => {});
+
+    try {
+      await transport.connect();
+      const pending = transport.send({ jsonrpc: '2.0', id: 'hang-1', method: 'hang' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const session = new Promise(resolve => transport.once('session', resolve));
+      sessions.get('1').destroy();
+
+      await assert.rejects(pending, /session was replaced/);
+      await session;
+      assert.strictEqual(transport.getPostUrl(), url.replace('/sse', '/messages?sessionId=2'));
+      assert.deepStrictEqual(
+        received.filter(({ session }) => session === '2').map(({ method }) => method),
+        ['initialize', 'notifications/initialized']
+      );
+    } finally {
+      await transport.disconnect();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('retries a failed first handshake on the next request', async () => {
+    const { server, received, url } = await startServer({ failedInitializes: 1 });
+    const transport = new SseTransport({ name: 'fake', type: 'SSE', url }, { connectTimeoutMs: 2000 });
+    let renewed = 0;
+    transport.on('session', () => renewed++);
+
+    try {
+      await transport.connect();
+      assert.strictEqual(transport.lastError, 'Initialize failed: Not ready');
+      assert.strictEqual(transport.isReady(), false);
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+      assert.strictEqual(transport.isReady(), true);
+      assert.strictEqual(transport.lastError, null);
+      assert.strictEqual(renewed, 1);
+      assert.deepStrictEqual(received.map(({ method }) => method), ['initialize', 'initialize', 'notifications/initialized', 'ping']);
+    } finally {
+      await transport.disconnect();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('gives up at once when the stream is rejected', async () => {
+    const server = http.createServer((req, res) => res.writeHead(403).end());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/sse`;
+    const transport = new SseTransport({ name: 'fake', type: 'SSE', url }, { connectTimeoutMs: 5000 });
+
+    try {
+      const started = Date.now();
+      await transport.connect();
+      assert.strictEqual(transport.lastError, 'SSE stream closed: HTTP 403 Forbidden');
+      assert(Date.now() - started < 1000);
+    } finally {
+      await transport.disconnect();
+      server.close();
+    }
+  });
+});
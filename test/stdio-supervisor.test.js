@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StdioSupervisor } from '../src/stdio-supervisor.js';
+
+const ECHO_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/echo-server.js');
+
+// Never answers the handshake and ignores both EOF on stdin and SIGTERM,
+// which it reports on stderr once it does
+const STUBBORN_SERVER = "process.on('SIGTERM', () => {}); console.error('ignoring SIGTERM'); setInterval(() => {}, 1000);";
+
+describe('StdioSupervisor', () => {
+  test('follows the restart policy', () => {
+    const supervisor = new StdioSupervisor({ name: 'test', command: 'node' });
+    assert.strictEqual(supervisor.shouldRestart(true), true);
+    assert.strictEqual(supervisor.shouldRestart(false), false);
+
+    supervisor.options.policy = 'always';
+    assert.strictEqual(supervisor.shouldRestart(false), true);
+
+    supervisor.options.policy = 'never';
+    assert.strictEqual(supervisor.shouldRestart(true), false);
+  });
+
+  test('marks the server as crash-looping after maxRestarts in the window', async () => {
+    const supervisor = new StdioSupervisor({
+      name: 'test',
+      command: 'node',
+      restart: { maxRestarts: 2, initialDelayMs: 1 }
+    });
+
+    let spawns = 0;
+    supervisor.spawnSession = async () => {
+      spawns++;
+      throw new Error('handshake failed');
+    };
+
+    const crashLoop = new Promise(resolve => supervisor.once('crash-loop', resolve));
+    await assert.rejects(supervisor.start(), /handshake failed/);
+    await crashLoop;
+
+    assert.strictEqual(spawns, 3);
+    assert.strictEqual(supervisor.getStatus().state, 'crash-looping');
+    assert.strictEqual(supervisor.getStatus().restarts, 2);
+    assert.strictEqual(supervisor.getStatus().lastError, 'handshake failed');
+  });
+
+  test('keeps a bounded buffer of recent stderr lines', () => {
+    const supervisor = new StdioSupervisor({ name: 'test', command: 'node', stderrBufferSize: 3 });
+    supervisor.log.info = () => {};
+
+    for (let i = 1; i <= 5; i++) {
+      supervisor.handleStderr(`line ${i}`);
+    }
+
+    assert.deepStrictEqual(supervisor.getStderrLines().map(entry => entry.line), ['line 3', 'line 4', 'line 5']);
+    assert.deepStrictEqual(supervisor.getStderrLines(1).map(entry => entry.line), ['line 5']);
+  });
+
+  test('stop() during the handshake kills the process and does not report it ready', async () => {
+    const supervisor = new StdioSupervisor({
+      name: 'test',
+      command: process.execPath,
+      args: ['-e', STUBBORN_SERVER]
+    }, { connectTimeoutMs: 10000, stopTimeoutMs: 100 });
+    supervisor.log.info = () => {};
+
+    let ready = false;
+    supervisor.on('ready', () => { ready = true; });
+
+    const started = supervisor.start();
+    const { transport } = supervisor;
+    await once(supervisor, 'stderr');
+    const exited = once(transport, 'exit');
+
+    await supervisor.stop();
+    const [, signal] = await exited;
+    await assert.rejects(started);
+
+    assert.strictEqual(signal, 'SIGKILL');
+    assert.strictEqual(ready, false);
+    assert.strictEqual(supervisor.getStatus().state, 'stopped');
+    assert.strictEqual(supervisor.restartTimer, null);
+  });
+
+  test('performs the handshake with a real server and again after it crashes', async () => {
+    const supervisor = new StdioSupervisor({
+      name: 'echo',
+      command: process.execPath,
+      args: [ECHO_SERVER, 'tools,prompts'],
+      restart: { initialDelayMs: 10 }
+    }, { connectTimeoutMs: 5000 });
+    supervisor.log.warn = () => {};
+
+    try {
+      const session = await supervisor.start();
+      assert.strictEqual(session.protocolVersion, '2024-11-05');
+      assert.deepStrictEqual(session.capabilities, { tools: {}, prompts: {} });
+      assert.strictEqual(session.serverInfo.name, 'echo');
+      assert.strictEqual(supervisor.getStatus().state, 'running');
+
+      const ready = once(supervisor, 'ready');
+      process.kill(session.pid, 'SIGKILL');
+      const [restarted] = await ready;
+
+      assert.notStrictEqual(restarted.pid, session.pid);
+      assert.deepStrictEqual(restarted.capabilities, { tools: {}, prompts: {} });
+      assert.strictEqual(supervisor.getStatus().restarts, 1);
+      assert.strictEqual(supervisor.getStatus().lastExit.signal, 'SIGKILL');
+
+      const { tools } = await restarted.client.listTools();
+      assert.deepStrictEqual(tools.map(tool => tool.name), ['echo']);
+    } finally {
+      await supervisor.stop();
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createProxy, handleRequest } from './helpers.js';
+
+const ECHO_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/echo-server.js');
+
+describe('STDIO upstreams', () => {
+  test('aggregates each method only from servers that advertised its capability', async () => {
+    const proxy = createProxy();
+    const requested = [];
+    const requestServer = proxy.requestServer.bind(proxy);
+    proxy.requestServer = (mcpServer, method, ...rest) => {
+      requested.push(`${mcpServer.config.name} ${method}`);
+      return requestServer(mcpServer, method, ...rest);
+    };
+
+    try {
+      await proxy.startStdioServer({ name: 'echo', command: process.execPath, args: [ECHO_SERVER, 'tools'] });
+      await proxy.startStdioServer({ name: 'notes', command: process.execPath, args: [ECHO_SERVER, 'resources,prompts'] });
+      const notes = proxy.mcpServers.get('notes');
+      assert.strictEqual(notes.protocolVersion, '2024-11-05');
+      assert.deepStrictEqual(notes.capabilities, { resources: {}, prompts: {} });
+      assert.strictEqual(notes.serverInfo.name, 'echo');
+
+      assert.deepStrictEqual((await handleRequest(proxy, 'tools/list')).tools.map(tool => tool.name), ['echo:echo']);
+      assert.deepStrictEqual((await handleRequest(proxy, 'resources/list')).resources.map(resource => resource.uri), ['notes:echo://pid']);
+      assert.deepStrictEqual((await handleRequest(proxy, 'prompts/list')).prompts.map(prompt => prompt.name), ['notes:greet']);
+
+      const result = await handleRequest(proxy, 'tools/call', { name: 'echo:echo', arguments: { text: 'hi' } });
+      assert.match(result.content[0].text, /^hi from \d+$/);
+
+      assert.deepStrictEqual(requested, [
+        'echo tools/list',
+        'notes resources/list',
+        'notes prompts/list',
+        'echo tools/call'
+      ]);
+    } finally {
+      for (const supervisor of proxy.supervisors.values()) {
+        await supervisor.stop();
+      }
+    }
+  });
+
+  test('tells clients to list again once a crashed server is back', async () => {
+    const proxy = createProxy();
+    const sent = [];
+    proxy.clientConnections.set('client', {
+      client: null,
+      server: { notification: async (notification) => sent.push(notification.method) }
+    });
+
+    try {
+      await proxy.startStdioServer({ name: 'echo', command: process.execPath, args: [ECHO_SERVER, 'tools'], restart: { initialDelayMs: 10 } });
+      assert.deepStrictEqual(sent, []);
+
+      const supervisor = proxy.supervisors.get('echo');
+      supervisor.log.warn = () => {};
+      const ready = once(supervisor, 'ready');
+      process.kill(supervisor.session.pid, 'SIGKILL');
+      await ready;
+      for (let waited = 0; sent.length < 3 && waited < 1000; waited += 10) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      assert.deepStrictEqual(sent, [
+        'notifications/tools/list_changed',
+        'notifications/resources/list_changed',
+        'notifications/prompts/list_changed'
+      ]);
+    } finally {
+      for (const supervisor of proxy.supervisors.values()) {
+        await supervisor.stop();
+      }
+    }
+  });
+});
@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+async function startEndpoint(proxy) {
+  const server = http.createServer((req, res) => proxy.streamableHttp.handle(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/mcp` };
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('Streamable HTTP endpoint', () => {
+  test('runs a session from initialize to DELETE', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    proxy.mcpServers.set('search', { type: 'HTTP' });
+    proxy.requestServer = async () => ({ tools: [{ name: 'web', inputSchema: { type: 'object' } }] });
+    const { server, url } = await startEndpoint(proxy);
+
+    try {
+      const init = await post(url, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1' } }
+      });
+      assert.strictEqual(init.status, 200);
+      const sessionId = init.headers.get('mcp-session-id');
+      assert.ok(proxy.clientConnections.has(sessionId));
+      assert.strictEqual((await init.json()).result.serverInfo.name, 'websocket-mcp-proxy');
+
+      const headers = { 'Mcp-Session-Id': sessionId };
+      const initialized = await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, headers);
+      assert.strictEqual(initialized.status, 202);
+
+      const list = await post(url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers);
+      assert.deepStrictEqual((await list.json()).result.tools.map(tool => tool.name), ['search:web']);
+
+      const ended = await fetch(url, { method: 'DELETE', headers });
+      assert.strictEqual(ended.status, 204);
+      assert.strictEqual(proxy.clientConnections.has(sessionId), false);
+
+      const after = await post(url, { jsonrpc: '2.0', id: 3, method: 'ping' }, headers);
+      assert.strictEqual(after.status, 404);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('rejects requests without a session or with the wrong content type', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    const { server, url } = await startEndpoint(proxy);
+
+    try {
+      const missing = await post(url, { jsonrpc: '2.0', id: 1, method: 'ping' });
+      assert.strictEqual(missing.status, 400);
+      assert.match((await missing.json()).error.message, /Missing Mcp-Session-Id/);
+
+      const text = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hi' });
+      assert.strictEqual(text.status, 415);
+
+      const put = await fetch(url, { method: 'PUT' });
+      assert.strictEqual(put.status, 405);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_TIMEOUTS, getBackoffDelay, getRequestTimeout, resolveTimeouts, REQUEST_TIMEOUT_ERROR_CODE, withTimeout } from '../src/timeouts.js';
+import MCPProxyServer from '../src/server.js';
+
+const configPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../examples/simple-config.yaml');
+
+describe('Timeouts', () => {
+  test('server timeouts override proxy timeouts, which override the defaults', () => {
+    const timeouts = resolveTimeouts({ requestMs: 10000, toolCallMs: 60000 }, { toolCallMs: 120000 });
+
+    assert.strictEqual(timeouts.connectMs, DEFAULT_TIMEOUTS.connectMs);
+    assert.strictEqual(timeouts.requestMs, 10000);
+    assert.strictEqual(timeouts.toolCallMs, 120000);
+  });
+
+  test('tool patterns take precedence for tool calls', () => {
+    const timeouts = resolveTimeouts({}, { toolCallMs: 60000, tools: { 'crawl_*': 600000 } });
+
+    assert.strictEqual(getRequestTimeout(timeouts, 'tools/call', 'crawl_site'), 600000);
+    assert.strictEqual(getRequestTimeout(timeouts, 'tools/call', 'scrape'), 60000);
+    assert.strictEqual(getRequestTimeout(timeouts, 'resources/read'), DEFAULT_TIMEOUTS.requestMs);
+  });
+
+  test('withTimeout settles with the promise or fails once the time is up', async () => {
+    assert.strictEqual(await withTimeout(Promise.resolve('done'), 1000), 'done');
+    await assert.rejects(withTimeout(new Promise(() => {}), 10), /Timed out after 10ms/);
+    await assert.rejects(withTimeout(new Promise(() => {}), 10, 'No answer'), /No answer/);
+  });
+
+  test('applies exponential backoff capped at maxDelayMs', () => {
+    assert.deepStrictEqual(
+      [1, 2, 3, 4, 5].map(attempt => getBackoffDelay(attempt, { initialDelayMs: 100, maxDelayMs: 500 })),
+      [100, 200, 400, 500, 500]
+    );
+  });
+
+  test('a timed out request is cancelled upstream and fails with a timeout error', async () => {
+    const proxy = new MCPProxyServer(configPath);
+    let upstreamSignal;
+    const mcpServer = {
+      type: 'STDIO',
+      config: { name: 'slow', timeouts: { toolCallMs: 20 } },
+      server: {
+        request: (request, schema, { signal }) => {
+          upstreamSignal = signal;
+          return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        }
+      }
+    };
+
+    await assert.rejects(
+      proxy.requestServer(mcpServer, 'tools/call', { name: 'crawl' }),
+      (error) => error.code === REQUEST_TIMEOUT_ERROR_CODE &&
+        /Server slow did not answer tools\/call within \d+ms \(timeout 20ms\)/.test(error.message)
+    );
+    assert.strictEqual(upstreamSignal.aborted, true);
+  });
+});
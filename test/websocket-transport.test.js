@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import { WebSocketUpstreamTransport } from '../src/websocket-transport.js';
+
+/**
+ * Minimal MCP-over-WebSocket server: answers initialize and ping, never
+ * answers "hang", and records the upgrade requests it accepted.
+ */
+async function startServer() {
+  const upgrades = [];
+  const sockets = [];
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+
+  wss.on('connection', (ws, req) => {
+    upgrades.push({ authorization: req.headers['authorization'], protocol: ws.protocol });
+    sockets.push(ws);
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      const result = message.method === 'initialize'
+        ? { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1' } }
+        : message.method === 'ping' ? {} : null;
+      if (result) {
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+      }
+      if (message.method === 'notifications/initialized') {
+        ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }));
+      }
+    });
+  });
+
+  await once(wss, 'listening');
+  return { wss, upgrades, sockets, url: `ws://127.0.0.1:${wss.address().port}` };
+}
+
+describe('WebSocket upstream transport', () => {
+  test('authenticates the upgrade, initializes and relays messages', async () => {
+    const { wss, upgrades, url } = await startServer();
+    const transport = new WebSocketUpstreamTransport(
+      { name: 'fake', type: 'WEBSOCKET', url, bearerToken: 'secret' },
+      { connectTimeoutMs: 2000 }
+    );
+    const notified = once(transport, 'message');
+
+    try {
+      await transport.connect();
+      assert.strictEqual(transport.lastError, null);
+      assert.deepStrictEqual(upgrades, [{ authorization: 'Bearer secret', protocol: 'mcp' }]);
+      assert.deepStrictEqual(transport.capabilities, { tools: {} });
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+
+      const [notification] = await notified;
+      assert.strictEqual(notification.method, 'notifications/tools/list_changed');
+    } finally {
+      await transport.disconnect();
+      wss.close();
+    }
+  });
+
+  test('fails pending requests and reconnects with backoff when the socket closes', async () => {
+    const { wss, upgrades, sockets, url } = await startServer();
+    const transport = new WebSocketUpstreamTransport(
+      { name: 'fake', type: 'WEBSOCKET', url, reconnect: { initialDelayMs: 20, maxDelayMs: 100 } },
+      { connectTimeoutMs: 2000 }
+    );
+    const reconnects = [];
+    transport.on('reconnecting', (event) => reconnects.push(event));
+
+    try {
+      await transport.connect();
+      const pending = transport.send({ jsonrpc: '2.0', id: 'hang-1', method: 'hang' });
+      const session = once(transport, 'session');
+
+      sockets[0].terminate();
+      await assert.rejects(pending, /WebSocket to fake closed/);
+      await assert.rejects(
+        transport.send({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' }),
+        /Not connected to fake/
+      );
+
+      await session;
+      assert.deepStrictEqual(reconnects, [{ attempt: 1, delay: 20 }]);
+      assert.strictEqual(upgrades.length, 2);
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 'ping-2', method: 'ping' });
+      assert.deepStrictEqual(response.result, {});
+    } finally {
+      await transport.disconnect();
+      wss.close();
+    }
+  });
+
+  test('keeps retrying with growing delays while the server is down', async () => {
+    const transport = new WebSocketUpstreamTransport(
+      { name: 'fake', type: 'WEBSOCKET', url: 'ws://127.0.0.1:1', reconnect: { initialDelayMs: 10, maxDelayMs: 25 } },
+      { connectTimeoutMs: 2000 }
+    );
+    const reconnects = [];
+    transport.on('reconnecting', (event) => reconnects.push(event));
+
+    try {
+      await transport.connect();
+      assert.match(transport.lastError, /ECONNREFUSED/);
+
+      while (reconnects.length < 3) {
+        await once(transport, 'reconnecting');
+      }
+      assert.deepStrictEqual(reconnects.slice(0, 3).map(({ delay }) => delay), [10, 20, 25]);
+    } finally {
+      await transport.disconnect();
+    }
+  });
+
+  test('stops reconnecting once disconnected', async () => {
+    const transport = new WebSocketUpstreamTransport(
+      { name: 'fake', type: 'WEBSOCKET', url: 'ws://127.0.0.1:1', reconnect: { initialDelayMs: 10, maxDelayMs: 10 } },
+      { connectTimeoutMs: 2000 }
+    );
+    const reconnects = [];
+
+    await transport.connect();
+    transport.on('reconnecting', (event) => reconnects.push(event));
+    await transport.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(transport.reconnectTimer, null);
+    assert.deepStrictEqual(reconnects, []);
+  });
+});